@@ -1,7 +1,11 @@
+import { isValidObjectId } from 'mongoose';
 import Cart from '../models/cart.model.js';
+import Address from '../models/address.model.js';
 import Product from '../models/product.model.js';
 import Coupon from '../models/coupon.model.js';
 import { NotFoundError, BadRequestError } from '../errors/index.js';
+import { getParcelWeight, getShippingQuote } from '../utils/shipping.js';
+import { getStockAvailableTo } from '../utils/waitlist.js';
 
 /*****************************************/
 // Cart CRUD
@@ -9,11 +13,17 @@ import { NotFoundError, BadRequestError } from '../errors/index.js';
 
 /**
  * @route GET user/cart
- * @desc Get the cart for a specific user
+ * @desc Get the cart for a specific user, shipping is quoted for the
+ *       given address or the default one
  * @access Private
  */
 export const getCart = async (req, res) => {
   const userId = req.user.id;
+  const { addressId } = req.query;
+
+  if (addressId && !isValidObjectId(addressId)) {
+    throw new BadRequestError('Invalid address ID.');
+  }
 
   const cart = await Cart.findOneAndUpdate(
     { user: userId },
@@ -29,6 +39,7 @@ export const getCart = async (req, res) => {
 
   let subtotal = 0;
   let discount = 0;
+  let shippedSubtotal = 0;
 
   for (let item of cart.items) {
     const { price, bestOffer } = item.product;
@@ -45,8 +56,28 @@ export const getCart = async (req, res) => {
 
     subtotal += price * item.quantity;
     discount += itemDiscount * item.quantity;
+    if (!item.product.isDigital) {
+      shippedSubtotal += (price - itemDiscount) * item.quantity;
+    }
+  }
+
+  const address = await Address.findOne(
+    addressId
+      ? { _id: addressId, user: userId }
+      : { user: userId, isDefault: true }
+  );
+
+  // Game keys are emailed, only physical items are shipped
+  const shippedItems = cart.items.filter((item) => !item.product.isDigital);
+  let shipping = { available: true, charge: 0 };
+  if (address && shippedItems.length) {
+    shipping = await getShippingQuote(address, {
+      subtotal: shippedSubtotal,
+      weight: getParcelWeight(shippedItems),
+    });
   }
 
+  cart.shipping = shipping.charge;
   cart.total = subtotal + cart.shipping - discount;
   cart.discount = discount;
   await cart.save();
@@ -54,7 +85,11 @@ export const getCart = async (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Cart fetched successfully',
-    data: cart,
+    data: {
+      ...cart.toJSON(),
+      shippingAddress: address?._id || null,
+      shippingAvailable: shipping.available,
+    },
   });
 };
 
@@ -83,6 +118,15 @@ export const addItemToCart = async (req, res) => {
     item.product.equals(productId)
   );
 
+  const cartQuantity =
+    (existingItemIndex >= 0 ? cart.items[existingItemIndex].quantity : 0) +
+    quantity;
+  if ((await getStockAvailableTo(product, userId)) < cartQuantity) {
+    throw new BadRequestError(
+      'Insufficient stock, join the waitlist to hear when it is back.'
+    );
+  }
+
   if (existingItemIndex >= 0) {
     // Update quantity if item already exists
     cart.items[existingItemIndex].quantity += quantity;
@@ -128,7 +172,7 @@ export const updateCartItem = async (req, res) => {
     throw new NotFoundError('Product not found');
   }
 
-  if (product.stock < quantity) {
+  if ((await getStockAvailableTo(product, userId)) < quantity) {
     throw new BadRequestError('Insufficient stock');
   }
 
@@ -0,0 +1,81 @@
+import { isValidObjectId, Types } from 'mongoose';
+import GameKey from '../models/gameKey.model.js';
+import Product from '../models/product.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import { importGameKeys, parseKeyCsv } from '../utils/gameKeys.js';
+import { notifyWaitlist } from '../utils/waitlist.js';
+
+/*****************************************/
+// Game Keys - Admin
+/*****************************************/
+
+/**
+ * @route POST - admin/products/:productId/keys
+ * @desc  Admin - Import a CSV of game keys into a digital product's pool
+ * @access Private
+ */
+export const uploadGameKeys = async (req, res) => {
+  const { productId } = req.params;
+  if (!isValidObjectId(productId)) {
+    throw new BadRequestError('Invalid product ID.');
+  }
+
+  if (!req.file) {
+    throw new BadRequestError('A CSV file of keys is required.');
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw new NotFoundError('Product not found.');
+  }
+
+  if (!product.isDigital) {
+    throw new BadRequestError('Keys can only be added to digital products.');
+  }
+
+  const codes = parseKeyCsv(req.file.buffer);
+  if (!codes.length) {
+    throw new BadRequestError('The file does not contain any keys.');
+  }
+
+  const importedCount = await runInTransaction((session) =>
+    importGameKeys(product._id, codes, { importedBy: req.user.id, session })
+  );
+  if (importedCount) await notifyWaitlist(product._id);
+
+  res.status(201).json({
+    success: true,
+    message: `${importedCount} keys imported successfully.`,
+    data: {
+      imported: importedCount,
+      skipped: codes.length - importedCount,
+    },
+  });
+};
+
+/**
+ * @route GET - admin/products/:productId/keys
+ * @desc  Admin - Key pool of a digital product by status
+ * @access Private
+ */
+export const getGameKeyPool = async (req, res) => {
+  const { productId } = req.params;
+  if (!isValidObjectId(productId)) {
+    throw new BadRequestError('Invalid product ID.');
+  }
+
+  const counts = await GameKey.aggregate([
+    { $match: { product: new Types.ObjectId(productId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+
+  const pool = { available: 0, assigned: 0, revoked: 0 };
+  counts.forEach(({ _id, count }) => (pool[_id] = count));
+
+  res.status(200).json({
+    success: true,
+    message: 'Key pool retrieved successfully.',
+    data: pool,
+  });
+};
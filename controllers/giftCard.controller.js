@@ -0,0 +1,200 @@
+import { isValidObjectId, Types } from 'mongoose';
+import GiftCard from '../models/giftCard.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { paginate } from '../utils/paginate.js';
+import { createGiftCards } from '../utils/giftCards.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import { creditWallet, findUsableWallet } from '../utils/wallet.js';
+import { giftCardBatchSchema } from '../validations/admin.validations.js';
+import { redeemGiftCardSchema } from '../validations/user.validations.js';
+
+/*****************************************/
+// Gift Cards - Admin
+/*****************************************/
+
+/**
+ * @route POST - admin/gift-cards
+ * @desc  Admin - Generate a batch of gift cards
+ * @access Private
+ */
+export const addGiftCardBatch = async (req, res) => {
+  const { count, value, expiresAt } = await giftCardBatchSchema.validateAsync(
+    req.body,
+    { abortEarly: false }
+  );
+
+  const batchId = new Types.ObjectId().toString();
+
+  const giftCards = await runInTransaction((session) =>
+    createGiftCards(
+      count,
+      {
+        value,
+        expiresAt,
+        source: 'admin',
+        batchId,
+        createdBy: req.user.id,
+      },
+      { session }
+    )
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `${giftCards.length} gift cards generated successfully.`,
+    data: {
+      batchId,
+      giftCards,
+    },
+  });
+};
+
+/**
+ * @route GET - admin/gift-cards
+ * @desc  Admin - Listing gift cards, filterable by batch, status and source
+ * @access Private
+ */
+export const getAllGiftCards = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const { batchId, status, source, code } = req.query;
+
+  const filter = {};
+  if (batchId) filter.batchId = batchId;
+  if (status) filter.status = status;
+  if (source) filter.source = source;
+  if (code) filter.code = code.trim().toUpperCase();
+
+  const queryOptions = {
+    filter,
+    sort: { createdAt: -1 },
+    populate: [
+      { path: 'purchasedBy', select: 'name email' },
+      { path: 'redeemedBy', select: 'name email' },
+    ],
+  };
+
+  const giftCards = await paginate(GiftCard, page, limit, queryOptions);
+
+  res.status(200).json({
+    success: true,
+    message: 'Gift cards retrieved successfully.',
+    data: {
+      giftCards: giftCards.result,
+      totalPages: giftCards.totalPages,
+      currentPage: giftCards.currentPage,
+    },
+  });
+};
+
+/**
+ * @route GET - admin/gift-cards/:giftCardId
+ * @desc  Admin - Get one gift card with who bought and redeemed it
+ * @access Private
+ */
+export const getOneGiftCard = async (req, res) => {
+  const { giftCardId } = req.params;
+
+  if (!giftCardId || !isValidObjectId(giftCardId)) {
+    throw new BadRequestError('Invalid gift card Id format.');
+  }
+
+  const giftCard = await GiftCard.findById(giftCardId)
+    .populate('createdBy', 'name email')
+    .populate('purchasedBy', 'name email')
+    .populate('redeemedBy', 'name email')
+    .populate('order', 'finalPrice paymentStatus placedAt');
+  if (!giftCard) {
+    throw new NotFoundError('Gift card not found.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Gift card retrieved successfully.',
+    data: giftCard,
+  });
+};
+
+/*****************************************/
+// Gift Cards - User
+/*****************************************/
+
+/**
+ * @route GET - user/gift-cards
+ * @desc  User - Gift cards bought by the user
+ * @access Private
+ */
+export const getPurchasedGiftCards = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const queryOptions = {
+    filter: { purchasedBy: req.user.id },
+    sort: { createdAt: -1 },
+    select: 'code value expiresAt status redeemedAt order createdAt',
+  };
+
+  const giftCards = await paginate(GiftCard, page, limit, queryOptions);
+
+  res.status(200).json({
+    success: true,
+    message: 'Gift cards retrieved successfully.',
+    data: {
+      giftCards: giftCards.result,
+      totalPages: giftCards.totalPages,
+      currentPage: giftCards.currentPage,
+    },
+  });
+};
+
+/**
+ * @route POST - user/gift-cards/redeem
+ * @desc  User - Redeem a gift card code into the wallet
+ * @access Private
+ */
+export const redeemGiftCard = async (req, res) => {
+  const { code } = await redeemGiftCardSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+  const userId = req.user.id;
+
+  const { giftCard, wallet } = await runInTransaction(async (session) => {
+    await findUsableWallet(userId, { session });
+
+    // Only one request can flip the card to redeemed
+    const giftCard = await GiftCard.findOneAndUpdate(
+      { code, status: 'active', expiresAt: { $gt: new Date() } },
+      { status: 'redeemed', redeemedBy: userId, redeemedAt: new Date() },
+      { new: true, session }
+    );
+
+    if (!giftCard) {
+      const existing = await GiftCard.findOne({ code }).session(session);
+
+      if (!existing) throw new NotFoundError('Invalid gift card code.');
+      if (existing.status === 'redeemed') {
+        throw new BadRequestError('This gift card has already been redeemed.');
+      }
+      throw new BadRequestError('This gift card has expired.');
+    }
+
+    const wallet = await creditWallet(userId, giftCard.value, {
+      referenceType: 'gift-card',
+      referenceId: giftCard._id,
+      idempotencyKey: `gift-card:${giftCard._id}`,
+      description: `Gift card ${giftCard.code.slice(-4)} redeemed`,
+      session,
+    });
+
+    return { giftCard, wallet };
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `₹${giftCard.value} added to your wallet.`,
+    data: {
+      value: giftCard.value,
+      balance: wallet.balance,
+    },
+  });
+};
@@ -0,0 +1,103 @@
+import { isValidObjectId } from 'mongoose';
+import Invoice from '../models/invoice.model.js';
+import Order from '../models/order.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { sendInvoicePdf } from '../utils/invoicePdf.js';
+
+/*****************************************/
+// Invoices - User
+/*****************************************/
+
+/**
+ * @route GET - user/order/:orderId/invoices
+ * @desc  User - List the invoice and credit notes of an order
+ * @access Private
+ */
+export const getUserOrderInvoices = async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID.');
+  }
+
+  const order = await Order.exists({ _id: orderId, user: req.user.id });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const invoices = await Invoice.find({ order: orderId }).sort({
+    issuedAt: 1,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Invoices retrieved successfully.',
+    data: invoices,
+  });
+};
+
+/**
+ * @route GET - user/invoices/:invoiceId
+ * @desc  User - Download an invoice or credit note
+ * @access Private
+ */
+export const downloadUserInvoice = async (req, res) => {
+  const { invoiceId } = req.params;
+  if (!isValidObjectId(invoiceId)) {
+    throw new BadRequestError('Invalid invoice ID.');
+  }
+
+  const invoice = await Invoice.findOne({
+    _id: invoiceId,
+    user: req.user.id,
+  }).select('+pdf');
+  if (!invoice) {
+    throw new NotFoundError('Invoice not found.');
+  }
+
+  sendInvoicePdf(res, invoice);
+};
+
+/*****************************************/
+// Invoices - Admin
+/*****************************************/
+
+/**
+ * @route GET - admin/order/:orderId/invoices
+ * @desc  Admin - List the invoice and credit notes of an order
+ * @access Private
+ */
+export const getOrderInvoices = async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID.');
+  }
+
+  const invoices = await Invoice.find({ order: orderId }).sort({
+    issuedAt: 1,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Invoices retrieved successfully.',
+    data: invoices,
+  });
+};
+
+/**
+ * @route GET - admin/invoices/:invoiceId
+ * @desc  Admin - Download an invoice or credit note
+ * @access Private
+ */
+export const downloadInvoice = async (req, res) => {
+  const { invoiceId } = req.params;
+  if (!isValidObjectId(invoiceId)) {
+    throw new BadRequestError('Invalid invoice ID.');
+  }
+
+  const invoice = await Invoice.findById(invoiceId).select('+pdf');
+  if (!invoice) {
+    throw new NotFoundError('Invoice not found.');
+  }
+
+  sendInvoicePdf(res, invoice);
+};
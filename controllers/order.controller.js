@@ -1,23 +1,88 @@
 import {
+  modifyOrderSchema,
   placeOrderSchema,
+  returnRequestSchema,
   verifyRazorpaySchema,
 } from '../validations/user.validations.js';
 import Order from '../models/order.model.js';
 import Cart from '../models/cart.model.js';
-import crypto from 'crypto';
 import Address from '../models/address.model.js';
 import Product from '../models/product.model.js';
 import Coupon from '../models/coupon.model.js';
-import Wallet from '../models/wallet.model.js';
 import { paginate } from '../utils/paginate.js';
-import { isValidObjectId } from 'mongoose';
-import { createRazorpayOrder } from '../utils/createRazorpayOrder.js';
+import { aggregatePaginate } from '../utils/aggregatePaginate.js';
+import { getOfferDiscount } from '../utils/bestOfferForProduct.js';
+import { isValidObjectId, Types } from 'mongoose';
+import { paymentProvider } from '../utils/payment/index.js';
+import {
+  debitWallet,
+  findUsableWallet,
+  getAvailableBalance,
+  holdWalletBalance,
+} from '../utils/wallet.js';
+import {
+  REFUND_DESTINATIONS,
+  canRefundOrder,
+  getItemRefundAmount,
+  issueRefund,
+  refundShippingCharge,
+} from '../utils/refundPolicy.js';
+import { getParcelWeight, getShippingQuote } from '../utils/shipping.js';
+import {
+  calculateItemTax,
+  findTaxRates,
+  resolveTaxRate,
+} from '../utils/tax.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import { sendInvoicePdf } from '../utils/invoicePdf.js';
+import { issueOrderGiftCards } from '../utils/giftCards.js';
+import { assignOrderKeys, revokeItemKeys } from '../utils/gameKeys.js';
+import { claimWaitlistHold, notifyWaitlist } from '../utils/waitlist.js';
+import { applyOrderModification } from '../utils/orderModification.js';
+import {
+  isInvoiceDue,
+  issueCreditNote,
+  issueInvoice,
+} from '../utils/invoices.js';
+import { advanceReturn, openReturn } from '../utils/returns.js';
+import {
+  getOrderCancelBlocker,
+  isCancellableItem,
+} from '../utils/cancellation.js';
+import {
+  buildTimeline,
+  getActor,
+  recordStatusChange,
+} from '../utils/orderHistory.js';
+import ReturnRequest from '../models/returnRequest.model.js';
+import Shipment from '../models/shipment.model.js';
+import Invoice from '../models/invoice.model.js';
+import {
+  getPaymentPosting,
+  isPaymentSettled,
+  markOrderPaid,
+  markOrderPaymentFailed,
+  releaseWalletLegs,
+} from '../utils/orderPayment.js';
+import {
+  availableStockExpr,
+  decrementStock,
+  getReservationExpiry,
+  holdOrderStock,
+  reserveStock,
+  restockOrderItem,
+} from '../utils/stockReservation.js';
 import {
   BadRequestError,
+  CustomAPIError,
   NotFoundError,
   UnauthorizedError,
 } from '../errors/index.js';
-import PDFDocument from 'pdfkit';
+import {
+  bulkOrderStatusSchema,
+  orderFilterSchema,
+} from '../validations/admin.validations.js';
+import { buildOrderFilter } from '../utils/orderFilters.js';
 
 /*****************************************/
 // Orders - User
@@ -29,166 +94,339 @@ import PDFDocument from 'pdfkit';
  * @access Private
  */
 export const placeOrder = async (req, res) => {
-  const { orderItems, shippingAddress, paymentMethod, couponCode } =
+  const { orderItems, giftCards, shippingAddress, paymentMethod, couponCode } =
     await placeOrderSchema.validateAsync(req.body, {
       abortEarly: false,
     });
 
+  if (giftCards.length && paymentMethod === 'Cash on Delivery') {
+    throw new BadRequestError(
+      'Gift cards cannot be paid for with Cash on Delivery.'
+    );
+  }
+
   const userId = req?.user?.id;
-  let subtotal = 0;
-  let couponDiscount = 0;
-  let appliedCoupon = null;
-  let totalDiscount = 0;
 
-  const orderItemsSnapshot = [];
+  const { order, razorpayOrder } = await runInTransaction(async (session) => {
+    let subtotal = 0;
+    let couponDiscount = 0;
+    let appliedCoupon = null;
+    let totalDiscount = 0;
+
+    const orderItemsSnapshot = [];
 
-  for (const item of orderItems) {
-    const product = await Product.findById(item.product).populate('bestOffer');
+    const currentAddress =
+      await Address.findById(shippingAddress).session(session);
+    if (!currentAddress) {
+      throw new NotFoundError('Address not found');
+    }
 
-    if (!product)
-      throw new NotFoundError(`Product not found for ID: ${item.product}`);
+    for (const item of orderItems) {
+      const product = await Product.findById(item.product)
+        .populate('bestOffer')
+        .session(session);
 
-    if (product.stock < item.quantity)
-      throw new BadRequestError(
-        `Insufficient stock for product: ${product.name}`
-      );
+      if (!product)
+        throw new NotFoundError(`Product not found for ID: ${item.product}`);
+
+      const isPreOrder = product.releaseDate > new Date();
+      if (isPreOrder && !product.preOrder) {
+        throw new BadRequestError(`${product.name} is not released yet.`);
+      }
+
+      // Keys are handed over on payment, there is no delivery to pay at
+      if (product.isDigital && paymentMethod === 'Cash on Delivery') {
+        throw new BadRequestError(
+          `${product.name} is a digital game and cannot be paid with Cash on Delivery.`
+        );
+      }
 
-    let itemDiscount = 0;
-    if (product.bestOffer) {
-      itemDiscount =
-        product.bestOffer.discountType === 'percentage'
-          ? (product.price * product.bestOffer.discountValue) / 100
-          : product.bestOffer.discountValue;
+      let itemDiscount = 0;
+      if (product.bestOffer) {
+        itemDiscount =
+          product.bestOffer.discountType === 'percentage'
+            ? (product.price * product.bestOffer.discountValue) / 100
+            : product.bestOffer.discountValue;
 
-      itemDiscount = Math.min(itemDiscount, product.price);
+        itemDiscount = Math.min(itemDiscount, product.price);
+      }
+
+      subtotal += product.price * item.quantity;
+      totalDiscount += itemDiscount * item.quantity;
+
+      orderItemsSnapshot.push({
+        product: {
+          ...product.toObject(),
+        },
+        discount: itemDiscount,
+        price: product.price,
+        quantity: item.quantity,
+        totalPrice: (product.price - itemDiscount) * item.quantity,
+        isDigital: product.isDigital,
+        ...(isPreOrder && {
+          status: 'Pre-Ordered',
+          releaseDate: product.releaseDate,
+        }),
+      });
     }
 
-    subtotal += product.price * item.quantity;
-    totalDiscount += itemDiscount * item.quantity;
+    if (couponCode) {
+      const coupon = await Coupon.findOne({
+        code: couponCode.toUpperCase(),
+      }).session(session);
 
-    orderItemsSnapshot.push({
-      product: {
-        ...product.toObject(),
-      },
-      discount: itemDiscount,
-      price: product.price,
-      quantity: item.quantity,
-      totalPrice: (product.price - itemDiscount) * item.quantity,
-    });
+      if (!coupon) {
+        throw new NotFoundError('Invalid coupon code.');
+      }
 
-    product.stock -= item.quantity;
-    await product.save();
-  }
+      if (!coupon.isActive) {
+        throw new BadRequestError('This coupon is no longer active.');
+      }
 
-  if (couponCode) {
-    const coupon = await Coupon.findOne({ code: couponCode.toUpperCase() });
+      const currentDate = new Date();
+      if (currentDate < coupon.startDate || currentDate > coupon.endDate) {
+        throw new BadRequestError('This coupon has expired.');
+      }
 
-    if (!coupon) {
-      throw new NotFoundError('Invalid coupon code.');
-    }
+      if (subtotal < coupon.minOrderAmount) {
+        throw new BadRequestError(
+          `Minimum order amount should be ₹${coupon.minOrderAmount} to use this coupon.`
+        );
+      }
 
-    if (!coupon.isActive) {
-      throw new BadRequestError('This coupon is no longer active.');
-    }
+      const userUsage = coupon.usersUsed.find((entry) =>
+        entry.userId.equals(userId)
+      );
+      if (userUsage && userUsage.timesUsed >= coupon.perUserLimit) {
+        throw new BadRequestError(
+          'You have reached the usage limit for this coupon.'
+        );
+      }
 
-    const currentDate = new Date();
-    if (currentDate < coupon.startDate || currentDate > coupon.endDate) {
-      throw new BadRequestError('This coupon has expired.');
-    }
+      if (coupon.discountType === 'percentage') {
+        couponDiscount = (subtotal * coupon.discountValue) / 100;
+        if (coupon.maxDiscountAmount) {
+          couponDiscount = Math.min(couponDiscount, coupon.maxDiscountAmount);
+        }
+      } else {
+        couponDiscount = coupon.discountValue;
+      }
 
-    if (subtotal < coupon.minOrderAmount) {
-      throw new BadRequestError(
-        `Minimum order amount should be ₹${coupon.minOrderAmount} to use this coupon.`
+      couponDiscount = Math.min(couponDiscount, subtotal);
+
+      totalDiscount += couponDiscount;
+
+      const userCouponIndex = coupon.usersUsed.findIndex((entry) =>
+        entry.userId.equals(userId)
       );
+
+      if (userCouponIndex === -1) {
+        coupon.usersUsed.push({ userId, timesUsed: 1 });
+      } else {
+        coupon.usersUsed[userCouponIndex].timesUsed += 1;
+      }
+
+      await coupon.save();
+      appliedCoupon = coupon.code;
     }
 
-    const userUsage = coupon.usersUsed.find((entry) =>
-      entry.userId.equals(userId)
+    // Prices include GST, each item's tax is split out of what it costs
+    // after its share of the coupon
+    const taxRates = await findTaxRates(
+      orderItemsSnapshot.map((item) => item.product),
+      currentAddress,
+      { session }
     );
-    if (userUsage && userUsage.timesUsed >= coupon.perUserLimit) {
-      throw new BadRequestError(
-        'You have reached the usage limit for this coupon.'
+    for (const item of orderItemsSnapshot) {
+      const couponShare = subtotal
+        ? (item.totalPrice / subtotal) * couponDiscount
+        : 0;
+
+      item.tax = calculateItemTax(
+        item.totalPrice - couponShare,
+        resolveTaxRate(item.product, taxRates),
+        currentAddress
       );
     }
 
-    if (coupon.discountType === 'percentage') {
-      couponDiscount = (subtotal * coupon.discountValue) / 100;
-      if (coupon.maxDiscountAmount) {
-        couponDiscount = Math.min(couponDiscount, coupon.maxDiscountAmount);
+    // Gift cards and game keys are sent by email, only physical items ship
+    const shippedItems = orderItemsSnapshot.filter((item) => !item.isDigital);
+    let shipping = { zone: null, charge: 0 };
+    if (shippedItems.length) {
+      shipping = await getShippingQuote(
+        currentAddress,
+        {
+          subtotal: shippedItems.reduce(
+            (sum, item) => sum + item.totalPrice,
+            0
+          ),
+          weight: getParcelWeight(shippedItems),
+        },
+        { session }
+      );
+
+      if (!shipping.available) {
+        throw new BadRequestError('We do not ship to this address yet.');
       }
-    } else {
-      couponDiscount = coupon.discountValue;
     }
 
-    couponDiscount = Math.min(couponDiscount, subtotal);
+    // Gift cards are sold at face value, offers and coupons don't apply
+    const giftCardItems = giftCards.map(({ value, quantity }) => ({
+      value,
+      quantity,
+      totalPrice: value * quantity,
+    }));
+    const giftCardTotal = giftCardItems.reduce(
+      (sum, item) => sum + item.totalPrice,
+      0
+    );
 
-    totalDiscount += couponDiscount;
+    const finalPrice =
+      Math.max(0, Math.round(subtotal - totalDiscount)) +
+      shipping.charge +
+      giftCardTotal;
 
-    const userCouponIndex = coupon.usersUsed.findIndex((entry) =>
-      entry.userId.equals(userId)
-    );
+    // Split uses the available wallet balance and charges the rest online
+    let orderPaymentMethod = paymentMethod;
+    let paymentLegs = [];
 
-    if (userCouponIndex === -1) {
-      coupon.usersUsed.push({ userId, timesUsed: 1 });
-    } else {
-      coupon.usersUsed[userCouponIndex].timesUsed += 1;
-    }
+    if (paymentMethod === 'Split') {
+      const wallet = await findUsableWallet(userId, { session });
+      const walletAmount = Math.min(getAvailableBalance(wallet), finalPrice);
 
-    await coupon.save();
-    appliedCoupon = coupon.code;
-  }
+      if (!walletAmount) {
+        throw new BadRequestError(
+          'No wallet balance available to split the payment.'
+        );
+      }
 
-  const finalPrice = Math.max(0, Math.round(subtotal - totalDiscount));
+      if (walletAmount >= finalPrice) {
+        orderPaymentMethod = 'Wallet';
+      } else {
+        const held = await holdWalletBalance(userId, walletAmount, {
+          session,
+        });
+        if (!held) throw new BadRequestError('Insufficient wallet balance');
+
+        paymentLegs = [
+          { method: 'Wallet', amount: walletAmount, status: 'Held' },
+          {
+            method: 'Razorpay',
+            amount: finalPrice - walletAmount,
+            status: 'Pending',
+          },
+        ];
+      }
+    }
 
-  const currentAddress = await Address.findById(shippingAddress);
-  if (!currentAddress) {
-    throw new NotFoundError('Address not found');
-  }
+    const paysOnline = ['Razorpay', 'Split'].includes(orderPaymentMethod);
 
-  if (paymentMethod === 'Wallet') {
-    let wallet = await Wallet.findOne({ userId });
+    // Units held for the customer off a waitlist are theirs to take now
+    for (const item of orderItemsSnapshot) {
+      await claimWaitlistHold(userId, item.product._id, { session });
+    }
 
-    if (!wallet) {
-      wallet = await Wallet.create({ userId, transactions: [] });
+    // Conditional updates, concurrent buyers of the last copy can't both succeed.
+    // Online checkouts only hold the units until the payment is verified.
+    for (const item of orderItemsSnapshot) {
+      const stockTaken = paysOnline
+        ? await reserveStock(item.product._id, item.quantity, session)
+        : await decrementStock(item.product._id, item.quantity, session);
+
+      if (!stockTaken)
+        throw new BadRequestError(
+          `Insufficient stock for product: ${item.product.name}, join the waitlist to hear when it is back.`
+        );
     }
 
-    if (wallet.balance < finalPrice) {
-      throw new BadRequestError('Insufficient wallet balance');
+    // Generated up front so the wallet debit can reference the order
+    const orderId = new Types.ObjectId();
+
+    if (orderPaymentMethod === 'Wallet') {
+      await findUsableWallet(userId, { session });
+
+      const wallet = await debitWallet(
+        userId,
+        finalPrice,
+        getPaymentPosting(orderId, { session })
+      );
+
+      if (!wallet) {
+        throw new BadRequestError('Insufficient wallet balance');
+      }
     }
 
-    wallet.balance -= finalPrice;
+    const [order] = await Order.create(
+      [
+        {
+          _id: orderId,
+          user: userId,
+          orderItems: orderItemsSnapshot,
+          giftCardItems,
+          giftCardTotal,
+          shippingAddress: currentAddress,
+          shippingCharge: shipping.charge,
+          shippingZone: shipping.zone?._id || null,
+          paymentMethod: orderPaymentMethod,
+          paymentLegs,
+          couponCode: appliedCoupon || null,
+          couponDiscount,
+          totalDiscount,
+          totalAmount: subtotal,
+          finalPrice,
+          paymentStatus: orderPaymentMethod === 'Wallet' ? 'Paid' : 'Pending',
+          statusHistory: [
+            {
+              status: 'Processing',
+              actor: userId,
+              actorRole: req.user.role,
+              reason: 'Order placed',
+            },
+            ...(orderPaymentMethod === 'Wallet'
+              ? [
+                  {
+                    scope: 'payment',
+                    status: 'Paid',
+                    actor: userId,
+                    actorRole: req.user.role,
+                  },
+                ]
+              : []),
+          ],
+          ...(paysOnline && {
+            reservation: { status: 'Held', expiresAt: getReservationExpiry() },
+          }),
+        },
+      ],
+      { session }
+    );
 
-    wallet.transactions.push({
-      type: 'debit',
-      amount: finalPrice,
-      status: 'completed',
-      description: `Payment for order`,
-    });
+    if (order.paymentStatus === 'Paid') {
+      await assignOrderKeys(order, { actor: getActor(req), session });
+      if (giftCardItems.length) await issueOrderGiftCards(order, { session });
+      await issueInvoice(order, { session });
+      await order.save({ session });
+    }
 
-    await wallet.save();
-  }
+    await Cart.deleteOne({ user: userId }, { session });
 
-  const order = await Order.create({
-    user: userId,
-    orderItems: orderItemsSnapshot,
-    shippingAddress: currentAddress,
-    paymentMethod,
-    couponCode: appliedCoupon || null,
-    couponDiscount,
-    totalDiscount,
-    totalAmount: subtotal,
-    finalPrice,
-    paymentStatus: paymentMethod === 'Wallet' ? 'Paid' : 'Pending',
-  });
+    // Created inside the transaction so a gateway failure rolls back the checkout
+    let razorpayOrder = null;
+    if (paysOnline) {
+      const onlineLeg = paymentLegs.find((leg) => leg.method === 'Razorpay');
 
-  await Cart.deleteOne({ user: userId });
+      razorpayOrder = await paymentProvider.createOrder(
+        onlineLeg?.amount ?? finalPrice
+      );
 
-  if (paymentMethod === 'Razorpay') {
-    const razorpayOrder = await createRazorpayOrder(finalPrice);
+      order.razorpayOrderId = razorpayOrder.id;
+      await order.save();
+    }
 
-    order.razorpayOrderId = razorpayOrder.id;
-    await order.save();
+    return { order, razorpayOrder };
+  });
 
+  if (razorpayOrder) {
     return res.status(200).json({
       success: true,
       message: 'Razorpay order created successfully',
@@ -197,6 +435,8 @@ export const placeOrder = async (req, res) => {
         amount: razorpayOrder.amount,
         currency: razorpayOrder.currency,
         orderId: order._id,
+        walletAmount:
+          order.paymentLegs.find((leg) => leg.method === 'Wallet')?.amount || 0,
       },
     });
   }
@@ -219,36 +459,39 @@ export const verifyRazorpay = async (req, res) => {
   const { orderId } = req.params;
   const userId = req?.user?.id;
 
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.RZP_SECRET_KEY)
-    .update(`${razorpayOrderId}|${paymentId}`)
-    .digest('hex');
+  const isValidSignature = paymentProvider.verifyPaymentSignature({
+    orderId: razorpayOrderId,
+    paymentId,
+    signature,
+  });
 
-  if (signature !== expectedSignature) {
+  if (!isValidSignature) {
     throw new BadRequestError('Invalid signature');
   }
 
-  const order = await Order.findById(orderId);
-  if (!order) {
-    throw new BadRequestError('No order found with this Id.');
-  }
+  const order = await runInTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new BadRequestError('No order found with this Id.');
+    }
 
-  if (order.user.toString() !== userId) {
-    throw new UnauthorizedError('You are not authorized to access this order');
-  }
+    if (order.user.toString() !== userId) {
+      throw new UnauthorizedError(
+        'You are not authorized to access this order'
+      );
+    }
 
-  if (order.paymentStatus === 'Paid') {
-    throw new BadRequestError('This order has already been paid.');
-  }
+    if (order.razorpayOrderId !== razorpayOrderId) {
+      throw new BadRequestError('This payment does not belong to the order.');
+    }
 
-  for (const item of order.orderItems) {
-    await Product.findByIdAndUpdate(item.product._id, {
-      $inc: { stock: -item.quantity, reservedStock: -item.quantity },
-    });
-  }
+    // The webhook often settles the payment before the browser gets here
+    if (isPaymentSettled(order)) return order;
 
-  order.paymentStatus = 'Paid';
-  await order.save();
+    await markOrderPaid(order, { paymentId, actor: getActor(req), session });
+
+    return order;
+  });
 
   res.status(200).json({
     success: true,
@@ -266,21 +509,28 @@ export const markPaymentAsFailed = async (req, res) => {
   const { orderId } = req.params;
   const userId = req.user.id;
 
-  const order = await Order.findById(orderId);
-  if (!order) {
-    throw new NotFoundError('Order not found.');
-  }
+  await runInTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new NotFoundError('Order not found.');
+    }
 
-  if (order.user.toString() !== userId) {
-    throw new UnauthorizedError('You are not authorized to update this order.');
-  }
+    if (order.user.toString() !== userId) {
+      throw new UnauthorizedError(
+        'You are not authorized to update this order.'
+      );
+    }
 
-  if (order.paymentStatus === 'Paid') {
-    throw new BadRequestError('This order has already been paid.');
-  }
+    if (isPaymentSettled(order)) {
+      throw new BadRequestError('This order has already been paid.');
+    }
 
-  order.paymentStatus = 'Failed';
-  await order.save();
+    await markOrderPaymentFailed(order, {
+      actor: getActor(req),
+      reason: 'Payment not completed',
+      session,
+    });
+  });
 
   res.status(200).json({
     success: true,
@@ -315,13 +565,13 @@ export const retryPayment = async (req, res) => {
     throw new BadRequestError('This order is not eligible for retry.');
   }
 
-  if (order.paymentStatus === 'Paid') {
+  if (isPaymentSettled(order)) {
     throw new BadRequestError('This order has already been paid.');
   }
 
-  const allItemsCancelled = order.orderItems.every(
-    (item) => item.status === 'Cancelled'
-  );
+  const allItemsCancelled =
+    order.orderItems.length > 0 &&
+    order.orderItems.every((item) => item.status === 'Cancelled');
   if (allItemsCancelled) {
     throw new BadRequestError(
       'Cannot process payment for a fully cancelled order.'
@@ -333,34 +583,26 @@ export const retryPayment = async (req, res) => {
     throw new BadRequestError('Invalid payment method.');
   }
 
-  const activeOrderItems = order.orderItems.filter(
-    (item) => item.status !== 'Cancelled'
-  );
-
-  const currentTotalAmount = activeOrderItems.reduce(
-    (sum, item) => sum + item.totalPrice,
-    0
-  );
-
-  let currentCouponDiscount = 0;
-  if (order.couponDiscount > 0 && order.totalAmount > 0) {
-    currentCouponDiscount =
-      (currentTotalAmount / order.totalAmount) * order.couponDiscount;
+  const amountToCharge = order.calculateFinalPrice();
 
-    currentCouponDiscount = Math.round(currentCouponDiscount * 100) / 100;
-  }
+  if (paymentMethod === 'Razorpay') {
+    const paymentResponse = await runInTransaction(async (session) => {
+      if (order.reservation?.status !== 'Held') {
+        await holdOrderStock(order, session);
+      }
+      await releaseWalletLegs(order, { session });
 
-  const amountToCharge = Math.max(
-    0,
-    currentTotalAmount - currentCouponDiscount
-  );
+      const paymentResponse = await paymentProvider.createOrder(amountToCharge);
 
-  if (paymentMethod === 'Razorpay') {
-    const paymentResponse = await createRazorpayOrder(amountToCharge);
+      // Retrying charges the whole amount online, even for a split order
+      order.paymentMethod = 'Razorpay';
+      order.paymentLegs = [];
+      order.razorpayOrderId = paymentResponse.id;
+      order.paymentStatus = 'Pending';
+      await order.save({ session });
 
-    order.razorpayOrderId = paymentResponse.id;
-    order.paymentStatus = 'Pending';
-    await order.save();
+      return paymentResponse;
+    });
 
     return res.status(200).json({
       success: true,
@@ -375,31 +617,29 @@ export const retryPayment = async (req, res) => {
   }
 
   if (paymentMethod === 'Wallet') {
-    let wallet = await Wallet.findOne({ userId });
-
-    if (!wallet) {
-      wallet = await Wallet.create({ userId, balance: 0, transactions: [] });
-    }
-
-    if (wallet.balance < amountToCharge) {
-      throw new BadRequestError('Insufficient wallet balance');
-    }
+    await runInTransaction(async (session) => {
+      await releaseWalletLegs(order, { session });
+      await findUsableWallet(userId, { session });
+
+      const wallet = await debitWallet(
+        userId,
+        amountToCharge,
+        getPaymentPosting(order._id, { session })
+      );
 
-    wallet.balance -= amountToCharge;
+      if (!wallet) {
+        throw new BadRequestError('Insufficient wallet balance');
+      }
 
-    wallet.transactions.push({
-      type: 'debit',
-      amount: amountToCharge,
-      status: 'completed',
-      description: `Payment for order #${order._id.toString().slice(-6)}`,
+      order.paymentMethod = 'Wallet';
+      order.paymentLegs = [];
+      await markOrderPaid(order, {
+        actor: getActor(req),
+        reason: 'Paid with wallet on retry',
+        session,
+      });
     });
 
-    await wallet.save();
-
-    order.paymentMethod = 'Wallet';
-    order.paymentStatus = 'Paid';
-    await order.save();
-
     return res.status(200).json({
       success: true,
       message: 'Payment completed successfully using wallet balance.',
@@ -420,12 +660,18 @@ export const retryPayment = async (req, res) => {
  */
 export const cancelOrder = async (req, res) => {
   const { orderId } = req.params;
-  const { productId } = req.body;
+  const { productId, refundTo = 'original', reason = null } = req.body;
 
   if (!isValidObjectId(orderId)) {
     throw new BadRequestError('Invalid order ID.');
   }
 
+  if (!REFUND_DESTINATIONS.includes(refundTo)) {
+    throw new BadRequestError(
+      'Refunds can go to the original method or wallet.'
+    );
+  }
+
   const order = await Order.findById(orderId).populate('orderItems.product');
   if (!order) {
     throw new NotFoundError('Order not found');
@@ -444,14 +690,14 @@ export const cancelOrder = async (req, res) => {
       item.product._id.equals(productId)
     );
 
-    if (orderItem.status === 'Cancelled') {
-      throw new BadRequestError('This product has already been cancelled.');
-    }
-
     if (!orderItem) {
       throw new NotFoundError('Product does not exist in this order.');
     }
 
+    if (orderItem.status === 'Cancelled') {
+      throw new BadRequestError('This product has already been cancelled.');
+    }
+
     const invalidStatus = [
       'Shipped',
       'Delivered',
@@ -466,58 +712,46 @@ export const cancelOrder = async (req, res) => {
       );
     }
 
-    let refundAmount = orderItem.totalPrice;
-
-    if (order.couponCode) {
-      const totalOrderValue = order.totalAmount;
-      const couponDiscount = order.couponDiscount;
-
-      const productDiscountShare =
-        (orderItem.totalPrice / totalOrderValue) * couponDiscount;
-
-      refundAmount = Math.round(orderItem.totalPrice - productDiscountShare);
-    }
-
-    const product = await Product.findById(orderItem.product._id);
-    if (product) {
-      product.stock += orderItem.quantity;
-      await product.save();
-    }
-
-    if (order.paymentStatus === 'Paid') {
-      let wallet = await Wallet.findOne({ userId: order.user });
+    await runInTransaction(async (session) => {
+      await restockOrderItem(order, orderItem, session);
 
-      if (!wallet) {
-        wallet = await Wallet.create({ userId: order.user, transactions: [] });
+      if (canRefundOrder(order)) {
+        await issueRefund(order, {
+          amount: getItemRefundAmount(order, orderItem),
+          item: orderItem,
+          refundTo,
+          session,
+        });
       }
 
-      wallet.transactions.push({
-        type: 'credit',
-        amount: refundAmount,
-        status: 'completed',
-        description: `Refund amount of order ${order._id.toString().slice(-6)}`,
+      orderItem.status = 'Cancelled';
+      recordStatusChange(order, {
+        scope: 'item',
+        status: 'Cancelled',
+        item: orderItem,
+        actor: getActor(req),
+        reason,
+      });
+      await refundShippingCharge(order, { refundTo, session });
+      await issueCreditNote(order, {
+        lines: [{ item: orderItem, quantity: orderItem.quantity }],
+        reason: reason || 'Item cancelled',
+        session,
       });
 
-      wallet.balance += Number(refundAmount);
-      order.refundedAmount += refundAmount;
-
-      await wallet.save();
-    }
-
-    orderItem.status = 'Cancelled';
-
-    const activeOrderItems = order.orderItems.filter(
-      (item) => item.status !== 'Cancelled'
-    );
+      const activeOrderItems = order.orderItems.filter(
+        (item) => item.status !== 'Cancelled'
+      );
 
-    const currentTotalAmount = activeOrderItems.reduce(
-      (sum, item) => sum + item.totalPrice,
-      0
-    );
+      const currentTotalAmount = activeOrderItems.reduce(
+        (sum, item) => sum + item.totalPrice,
+        0
+      );
 
-    order.finalPrice = currentTotalAmount;
+      order.finalPrice = currentTotalAmount;
 
-    await order.save();
+      await order.save({ session });
+    });
 
     return res.status(200).json({
       success: true,
@@ -526,63 +760,51 @@ export const cancelOrder = async (req, res) => {
     });
   }
 
-  const invalidOrderStatuses = ['Shipped', 'Delivered'];
-  if (invalidOrderStatuses.includes(order.orderStatus)) {
-    throw new BadRequestError(
-      `Cannot cancel order as it is already ${order.orderStatus.toLowerCase()}.`
-    );
+  // Shipments can leave an order partly shipped or delivered
+  const cancelBlocker = getOrderCancelBlocker(order);
+  if (cancelBlocker) {
+    throw new BadRequestError(cancelBlocker);
   }
 
-  if (order.orderItems.every((item) => item.status === 'Cancelled')) {
-    throw new BadRequestError('All items in this order are already cancelled.');
-  }
+  await runInTransaction(async (session) => {
+    const cancelledItems = [];
 
-  for (const item of order.orderItems) {
-    if (!['Cancelled', 'Returned', 'Return Rejected'].includes(item.status)) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.stock += item.quantity;
-        await product.save();
+    for (const item of order.orderItems) {
+      if (!isCancellableItem(item)) continue;
+
+      await restockOrderItem(order, item, session);
+      await revokeItemKeys(item, { reason: 'Order cancelled', session });
+
+      // Each item is refunded on its own so partial refunds stay traceable
+      if (canRefundOrder(order)) {
+        await issueRefund(order, {
+          amount: getItemRefundAmount(order, item),
+          item,
+          refundTo,
+          session,
+        });
       }
-      item.status = 'Cancelled';
-    }
-  }
-
-  if (order.paymentStatus === 'Paid') {
-    let wallet = await Wallet.findOne({ userId: order.user });
-
-    if (!wallet) {
-      wallet = await Wallet.create({ userId: order.user, transactions: [] });
-    }
 
-    const refundableItems = order.orderItems.filter(
-      (item) => item.status === 'Cancelled' && !order.refundedAmount
-    );
-
-    const refundAmount = refundableItems.reduce(
-      (total, item) => total + item.totalPrice,
-      0
-    );
-
-    if (refundAmount > 0) {
-      wallet.transactions.push({
-        type: 'credit',
-        amount: refundAmount,
-        status: 'completed',
-        description: `Refund for order ${order._id.toString().slice(-6)}`,
-      });
-
-      wallet.balance += Number(refundAmount);
-      order.refundedAmount = refundAmount;
-
-      await wallet.save();
+      item.status = 'Cancelled';
+      cancelledItems.push({ item, quantity: item.quantity });
     }
-  }
+    await refundShippingCharge(order, { refundTo, session });
+    await issueCreditNote(order, {
+      lines: cancelledItems,
+      reason: reason || 'Order cancelled',
+      session,
+    });
 
-  order.orderStatus = 'Cancelled';
-  order.finalPrice = 0;
+    order.orderStatus = 'Cancelled';
+    order.finalPrice = order.giftCardTotal;
+    recordStatusChange(order, {
+      status: 'Cancelled',
+      actor: getActor(req),
+      reason,
+    });
 
-  await order.save();
+    await order.save({ session });
+  });
 
   res.status(200).json({
     success: true,
@@ -598,17 +820,14 @@ export const cancelOrder = async (req, res) => {
  */
 export const requestReturnOrder = async (req, res) => {
   const { orderId } = req.params;
-  const { productId, reason = 'No Reason' } = req.body;
+  const { productId, quantity, reason, refundTo, photos } =
+    await returnRequestSchema.validateAsync(req.body, { abortEarly: false });
 
   if (!isValidObjectId(orderId)) {
     throw new BadRequestError('Invalid order ID.');
   }
 
-  if (!isValidObjectId(productId)) {
-    throw new BadRequestError('Invalid product ID.');
-  }
-
-  const order = await Order.findById(orderId).populate('orderItems.product');
+  const order = await Order.findOne({ _id: orderId, user: req.user.id });
   if (!order) {
     throw new NotFoundError('Order not found');
   }
@@ -625,249 +844,109 @@ export const requestReturnOrder = async (req, res) => {
     throw new NotFoundError('Product does not exist in this order.');
   }
 
-  const product = await Product.findById(orderItem.product);
-  if (!product) {
-    throw new NotFoundError('Product was not found');
-  }
-
-  const invalidStatus = ['Shipped', 'Cancelled'];
-  if (invalidStatus.includes(orderItem.status)) {
-    throw new BadRequestError(
-      `Product is already ${orderItem.status.toLowerCase()}`
-    );
-  }
-
-  if (orderItem.returnRequest.requested) {
-    throw new BadRequestError(
-      'Return request for this product has already been initiated.'
-    );
-  }
-
-  orderItem.returnRequest = {
-    requested: true,
-    reason,
-    approved: false,
-    responseSent: false,
-  };
-
-  orderItem.status = 'Return Requested';
+  const returnRequest = await runInTransaction(async (session) => {
+    const returnRequest = await openReturn(order, orderItem, {
+      quantity,
+      reason,
+      refundTo,
+      photos,
+      actor: getActor(req),
+      session,
+    });
 
-  await order.save();
+    await order.save({ session });
+    return returnRequest;
+  });
 
   res.status(200).json({
     success: true,
     message: 'Return request has been sent.',
-    data: order,
+    data: { order, returnRequest },
   });
 };
 
 /**
- * @route GET - user/order
- * @desc  User - Get all orders
+ * @route PATCH - user/order/:orderId/modify
+ * @desc  User - Change quantities, add items or swap the shipping address
+ *        of an order that is still processing
  * @access Private
  */
-export const generateInvoicePDF = async (req, res) => {
-  try {
-    const { orderId } = req.params;
-    const order = await Order.findById(orderId)
-      .populate('user')
-      .populate('orderItems.product');
+export const modifyOrder = async (req, res) => {
+  const { orderId } = req.params;
+  const { items, addItems, shippingAddress } =
+    await modifyOrderSchema.validateAsync(req.body, { abortEarly: false });
+
+  if (!isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID.');
+  }
 
+  const { order, modification } = await runInTransaction(async (session) => {
+    const order = await Order.findOne({
+      _id: orderId,
+      user: req.user.id,
+    }).session(session);
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      throw new NotFoundError('Order not found');
     }
 
-    const doc = new PDFDocument({
-      margin: 50,
-      size: 'A4',
-      layout: 'portrait',
-      font: 'Helvetica',
-      bufferPages: true,
+    const modification = await applyOrderModification(order, {
+      items,
+      addItems,
+      shippingAddress,
+      actor: getActor(req),
+      session,
     });
 
-    // Set up response headers
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="invoice_${orderId}.pdf"`
-    );
-    doc.pipe(res);
-
-    // Header Section
-    let y = 45;
-    doc
-      // .image('public/images/logo.png', 50, y, { width: 50 })
-      .fillColor('#2c3e50')
-      .fontSize(20)
-      .font('Helvetica-Bold')
-      .text('INVOICE', 400, y, { align: 'right' });
-
-    // Invoice Details
-    doc
-      .fontSize(10)
-      .fillColor('#666666')
-      .text(`Invoice #: ${orderId.slice(-8)}`, 400, y + 30, { align: 'right' })
-      .text(
-        `Date: ${order.placedAt.toLocaleDateString('en-IN')}`,
-        400,
-        y + 45,
-        {
-          align: 'right',
-        }
-      );
-
-    // Company and Customer Info
-    y = 120;
-    const companyInfo = {
-      name: 'Your Company Name',
-      address: ['123 Business Street', 'City, State', 'PIN: 123456'],
-      contacts: ['Phone: +91 12345 67890', 'email@company.com'],
-    };
-
-    doc
-      .font('Helvetica-Bold')
-      .fillColor('#2c3e50')
-      .text('From:', 50, y)
-      .font('Helvetica')
-      .fillColor('#333333');
-
-    companyInfo.address.forEach((line, i) => {
-      doc.text(line, 50, y + 15 + i * 15);
-    });
-    companyInfo.contacts.forEach((line, i) => {
-      doc.text(line, 50, y + 60 + i * 15);
-    });
-
-    // Bill To Section
-    const customerAddress = [
-      order.user?.name || 'N/A',
-      order.shippingAddress?.addressLine || 'N/A',
-      `${order.shippingAddress?.city || 'N/A'}, ${
-        order.shippingAddress?.state || 'N/A'
-      } ${order.shippingAddress?.pinCode || ''}`,
-      `Phone: ${order.user?.phone || 'N/A'}`,
-    ];
-
-    doc
-      .font('Helvetica-Bold')
-      .fillColor('#2c3e50')
-      .text('Bill To:', 300, y)
-      .font('Helvetica')
-      .fillColor('#333333');
-
-    customerAddress.forEach((line, i) => {
-      doc.text(line, 300, y + 15 + i * 15);
-    });
-
-    // Order Items Table
-    y = 240;
-    const columnWidths = [250, 80, 80, 80];
-    const alignments = ['left', 'right', 'right', 'right'];
-
-    // Table Header
-    doc
-      .rect(50, y, 500, 20)
-      .fill('#2c3e50')
-      .font('Helvetica-Bold')
-      .fontSize(10)
-      .fillColor('#ffffff');
-
-    ['Item', 'Price', 'Qty', 'Total'].forEach((text, i) => {
-      const x =
-        i === 0
-          ? 55
-          : 50 + columnWidths.slice(0, i).reduce((a, b) => a + b) + 5;
-      doc.text(text, x, y + 5, {
-        width: columnWidths[i] - 10,
-        align: alignments[i],
-      });
-    });
-
-    // Table Rows
-    y += 25;
-    order.orderItems.forEach((item, index) => {
-      if (y > doc.page.height - 100) {
-        doc.addPage();
-        y = 50;
-      }
-
-      const row = [
-        item.product.name.substring(0, 40),
-        `₹${item.price.toFixed(2)}`,
-        item.quantity.toString(),
-        `₹${item.totalPrice.toFixed(2)}`,
-      ];
+    await order.save({ session });
+    return { order, modification };
+  });
 
-      if (index % 2 === 0) {
-        doc.rect(50, y - 5, 500, 20).fill('#f8f9fa');
-      }
+  // Units given back may be what someone on the waitlist is after
+  for (const change of modification.changes) {
+    if (change.type === 'quantity' && change.to < change.from) {
+      await notifyWaitlist(change.product);
+    }
+  }
 
-      row.forEach((text, i) => {
-        const x =
-          i === 0
-            ? 55
-            : 50 + columnWidths.slice(0, i).reduce((a, b) => a + b) + 5;
-        doc
-          .font('Helvetica')
-          .fontSize(9)
-          .fillColor('#333333')
-          .text(text, x, y, {
-            width: columnWidths[i] - 10,
-            align: alignments[i],
-          });
-      });
+  res.status(200).json({
+    success: true,
+    message: 'Order updated successfully',
+    data: { order, modification },
+  });
+};
 
-      y += 20;
-    });
+/**
+ * @route POST - user/order/:orderId/invoice
+ * @desc  User - Download the tax invoice of an order
+ * @access Private
+ */
+export const generateInvoicePDF = async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID.');
+  }
 
-    // Summary Section
-    y += 50;
-    const summaryLines = [
-      { label: 'Subtotal:', value: order.totalAmount },
-      { label: 'Discounts:', value: -order.totalDiscount },
-      { label: 'Coupon Discount:', value: -order.couponDiscount },
-      { label: 'Shipping:', value: 0 },
-      { label: 'Total:', value: order.finalPrice },
-    ];
+  const order = await Order.findOne({ _id: orderId, user: req.user.id });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    summaryLines.forEach((line, i) => {
-      doc
-        .font('Helvetica-Bold')
-        .fontSize(10)
-        .fillColor('#2c3e50')
-        .text(line.label, 400, y + i * 20, { align: 'left' })
-        .text(`₹${Math.abs(line.value).toFixed(2)}`, 500, y + i * 20, {
-          align: 'left',
-          width: 80,
-        });
+  // Orders paid before invoices were numbered get theirs on first download
+  if (!order.invoice && isInvoiceDue(order)) {
+    await runInTransaction(async (session) => {
+      await issueInvoice(order, { session });
+      await order.save({ session });
     });
+  }
 
-    // Payment Information
-    y += 100;
-    doc
-      .font('Helvetica')
-      .fontSize(10)
-      .fillColor('#666666')
-      .text(
-        `Payment Method: ${order.paymentMethod} | Status: ${order.paymentStatus}`,
-        50,
-        y
-      )
-      .text(`Order Status: ${order.orderStatus}`, 50, y + 20);
-
-    // Footer
-    doc
-      .fontSize(8)
-      .fillColor('#666666')
-      .text('Thank you for your business!', 50, doc.page.height - 50, {
-        align: 'center',
-      });
-
-    doc.end();
-  } catch (error) {
-    console.error('Invoice Generation Error:', error);
-    res.status(500).json({ error: 'Failed to generate invoice' });
+  if (!order.invoice) {
+    throw new BadRequestError(
+      'The invoice is issued once the order is paid or delivered.'
+    );
   }
+
+  const invoice = await Invoice.findById(order.invoice).select('+pdf');
+  sendInvoicePdf(res, invoice);
 };
 
 /**
@@ -918,47 +997,245 @@ export const getUserOrder = async (req, res) => {
     throw new BadRequestError('Invalid order ID.');
   }
 
-  const order = await Order.findOne({ _id: orderId, user: userId }).populate({
-    path: 'orderItems',
-    populate: {
-      path: 'product',
-      model: 'Product',
-    },
-  });
+  const order = await Order.findOne({ _id: orderId, user: userId })
+    .populate({
+      path: 'orderItems',
+      populate: {
+        path: 'product',
+        model: 'Product',
+      },
+    })
+    .populate({
+      path: 'giftCardItems.giftCards',
+      select: 'code value expiresAt status redeemedAt',
+    })
+    .populate({
+      path: 'orderItems.keys',
+      select: 'code status assignedAt revokedAt',
+    });
   if (!order) {
     throw new NotFoundError('Order not found');
   }
 
+  const shipments = await Shipment.find({ order: order._id })
+    .sort({ createdAt: 1 })
+    .select(
+      'items carrier trackingNumber trackingUrl estimatedDelivery status shippedAt deliveredAt'
+    );
+
+  // Revoked keys stay listed, but their codes are no longer the customer's
+  const data = order.toObject();
+  data.orderItems.forEach((item) =>
+    item.keys?.forEach((key) => {
+      if (key.status !== 'assigned') delete key.code;
+    })
+  );
+
   res.status(200).json({
     success: true,
     message: 'User order retrieved successfully',
-    data: order,
+    data: { ...data, shipments, timeline: buildTimeline(order) },
   });
 };
 
-/*****************************************/
-// Order Management - Admin
-/*****************************************/
-
 /**
- * @route PATCH - admin/order/:orderId
- * @desc  Admin - Updating order status
+ * @route POST - user/order/:orderId/reorder
+ * @desc  User - Put the products of a past order back in the cart, at
+ *        today's prices and offers
  * @access Private
  */
-export const updateOrderStatus = async (req, res) => {
-  const { orderId } = req.params;
-  const { status } = req.body;
+export const reorder = async (req, res) => {
+  const userId = req.user.id;
 
-  // Validate order ID
+  const { orderId } = req.params;
   if (!isValidObjectId(orderId)) {
     throw new BadRequestError('Invalid order ID.');
   }
 
-  const order = await Order.findById(orderId).populate('orderItems.product');
+  const order = await Order.findOne({ _id: orderId, user: userId });
   if (!order) {
-    throw new NotFoundError('Order not found.');
+    throw new NotFoundError('Order not found');
   }
 
+  // A product can be on more than one line, e.g. after a modification
+  const orderedQuantities = new Map();
+  for (const item of order.orderItems) {
+    const productId = item.product.toString();
+    orderedQuantities.set(
+      productId,
+      (orderedQuantities.get(productId) || 0) + item.quantity
+    );
+  }
+
+  const products = await Product.find({
+    _id: { $in: [...orderedQuantities.keys()] },
+  })
+    .populate({ path: 'bestOffer', match: { isActive: true } })
+    .populate('genre', 'isActive')
+    .populate('brand', 'isActive');
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = new Cart({ user: userId, items: [] });
+  }
+
+  const added = [];
+  const skipped = [];
+  for (const [productId, quantity] of orderedQuantities) {
+    const product = productsById.get(productId);
+    const skip = (reason) =>
+      skipped.push({ product: productId, name: product?.name || null, reason });
+
+    if (!product) {
+      skip('This product no longer exists.');
+      continue;
+    }
+    if (
+      !product.isActive ||
+      product.genre?.isActive === false ||
+      product.brand?.isActive === false
+    ) {
+      skip('This product is no longer available.');
+      continue;
+    }
+    if (product.releaseDate > new Date() && !product.preOrder) {
+      skip('This product is not released yet.');
+      continue;
+    }
+
+    const cartItem = cart.items.find((item) =>
+      item.product.equals(product._id)
+    );
+    const inCart = cartItem?.quantity || 0;
+    const addable = Math.min(quantity, product.availableStock - inCart);
+    if (addable <= 0) {
+      skip(
+        product.availableStock
+          ? 'All the available stock is already in your cart.'
+          : 'This product is out of stock, join the waitlist to hear when it is back.'
+      );
+      continue;
+    }
+
+    if (cartItem) {
+      cartItem.quantity += addable;
+    } else {
+      cart.items.push({ product: product._id, quantity: addable });
+    }
+
+    const discount = getOfferDiscount(product);
+    added.push({
+      product: product._id,
+      name: product.name,
+      quantity: addable,
+      // Fewer units than last time when stock is short
+      requestedQuantity: quantity,
+      price: product.price,
+      discount,
+      discountedPrice: product.price - discount,
+    });
+  }
+
+  if (added.length) await cart.save();
+
+  res.status(200).json({
+    success: true,
+    message: added.length
+      ? 'Items added to cart successfully'
+      : 'None of the items could be added to the cart',
+    data: { cart, added, skipped },
+  });
+};
+
+/**
+ * @route GET - user/order/buy-again
+ * @desc  User - Products from delivered orders, the most often and most
+ *        recently bought first
+ * @access Private
+ */
+export const getBuyAgain = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const products = await aggregatePaginate(Order, page, limit, {
+    filter: {
+      user: new Types.ObjectId(req.user.id),
+      'orderItems.status': 'Delivered',
+    },
+    additionalPipeline: [
+      { $unwind: '$orderItems' },
+      { $match: { 'orderItems.status': 'Delivered' } },
+      {
+        $group: {
+          _id: '$orderItems.product',
+          timesOrdered: { $sum: 1 },
+          quantityOrdered: { $sum: '$orderItems.quantity' },
+          lastOrderedAt: { $max: '$placedAt' },
+        },
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product',
+          pipeline: [
+            { $match: { isActive: true } },
+            {
+              $lookup: {
+                from: 'offers',
+                localField: 'bestOffer',
+                foreignField: '_id',
+                as: 'bestOffer',
+                pipeline: [{ $match: { isActive: true } }],
+              },
+            },
+            {
+              $unwind: { path: '$bestOffer', preserveNullAndEmptyArrays: true },
+            },
+            { $addFields: { availableStock: availableStockExpr } },
+            {
+              $project: {
+                name: 1,
+                images: 1,
+                price: 1,
+                discountedPrice: 1,
+                bestOffer: 1,
+                availableStock: 1,
+                isDigital: 1,
+                releaseDate: 1,
+                preOrder: 1,
+              },
+            },
+          ],
+        },
+      },
+      { $unwind: '$product' },
+    ],
+    sort: { timesOrdered: -1, lastOrderedAt: -1, _id: 1 },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Buy again products retrieved successfully',
+    data: {
+      products: products.result,
+      totalPages: products.totalPages,
+      currentPage: products.currentPage,
+    },
+  });
+};
+
+/*****************************************/
+// Order Management - Admin
+/*****************************************/
+
+// Moves a whole order to a new status, shared by single and bulk updates.
+// Throws when the transition isn't allowed.
+const transitionOrderStatus = async (order, { status, reason, actor }) => {
   const validTransitions = {
     Processing: ['Shipped', 'Cancelled'],
     Shipped: ['Delivered', 'Cancelled'],
@@ -972,49 +1249,104 @@ export const updateOrderStatus = async (req, res) => {
     );
   }
 
+  if (
+    status !== 'Cancelled' &&
+    order.orderItems.some((item) => item.status === 'Pre-Ordered')
+  ) {
+    throw new BadRequestError(
+      'Pre-ordered items ship after their release, use shipments for the rest of the order.'
+    );
+  }
+
   if (status === 'Shipped') {
     order.deliveryBy = new Date();
     order.deliveryBy.setDate(order.deliveryBy.getDate() + 5);
   }
 
-  if (status === 'Cancelled' && order.orderStatus === 'Processing') {
-    for (const item of order.orderItems) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.stock += item.quantity;
-        await product.save();
-      }
+  // Decided per item, a partial shipment leaves the rest of the order behind.
+  // Digital items are delivered with their keys, only a cancellation moves
+  // them, and items that went through a return were settled by it.
+  const changedItems = order.orderItems.filter((item) => {
+    if (status === 'Cancelled') {
+      return !['Cancelled', 'Returned', 'Return Rejected'].includes(
+        item.status
+      );
     }
-  }
+    if (item.isDigital) return false;
+    return status === 'Delivered'
+      ? item.status === 'Shipped'
+      : item.status === 'Pending';
+  });
 
-  let refundAmount = 0;
-  if (status === 'Cancelled' && order.paymentStatus === 'Paid') {
-    order.refundedAmount = order.finalPrice;
-    refundAmount = order.finalPrice;
+  await runInTransaction(async (session) => {
+    if (status === 'Cancelled') {
+      // Units that never left the warehouse go back on the shelf
+      for (const item of changedItems) {
+        if (isCancellableItem(item)) {
+          await restockOrderItem(order, item, session);
+        }
+      }
+    }
 
-    let wallet = await Wallet.findOne({ userId: order.user });
-    if (!wallet) {
-      wallet = await Wallet.create({ userId: order.user, transactions: [] });
+    // Admin cancellations always go back to the original payment method
+    if (status === 'Cancelled' && canRefundOrder(order)) {
+      for (const item of changedItems) {
+        await issueRefund(order, {
+          amount: getItemRefundAmount(order, item),
+          item,
+          session,
+        });
+      }
     }
 
-    wallet.transactions.push({
-      type: 'credit',
-      amount: refundAmount,
-      status: 'completed',
+    changedItems.forEach((item) => {
+      item.status = status;
+      if (status === 'Delivered') item.deliveredAt = new Date();
     });
 
-    wallet.balance += Number(refundAmount);
-    order.refundedAmount = refundAmount;
+    if (status === 'Cancelled') {
+      for (const item of changedItems) {
+        await revokeItemKeys(item, { reason: 'Order cancelled', session });
+      }
+      await refundShippingCharge(order, { session });
+      await issueCreditNote(order, {
+        lines: changedItems.map((item) => ({ item, quantity: item.quantity })),
+        reason: reason || 'Cancelled by admin',
+        session,
+      });
+    }
 
-    await wallet.save();
-  }
+    // Cash on Delivery orders are invoiced once goods reach the customer
+    if (status === 'Delivered') {
+      await issueInvoice(order, { session });
+    }
+    order.orderStatus = status;
+    recordStatusChange(order, { status, actor, reason });
 
-  order.orderItems.forEach((item) => {
-    if (item.status !== 'Cancelled') item.status = status;
+    await order.save({ session });
   });
-  order.orderStatus = status;
+};
+
+/**
+ * @route PATCH - admin/order/:orderId
+ * @desc  Admin - Updating order status
+ * @access Private
+ */
+export const updateOrderStatus = async (req, res) => {
+  const { orderId } = req.params;
+  const { status, reason = null } = req.body;
+
+  // Validate order ID
+  if (!isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID.');
+  }
 
-  await order.save();
+  const order = await Order.findById(orderId).populate('orderItems.product');
+  if (!order) {
+    throw new NotFoundError('Order not found.');
+  }
+
+  await transitionOrderStatus(order, { status, reason, actor: getActor(req) });
 
   res.status(200).json({
     success: true,
@@ -1023,6 +1355,49 @@ export const updateOrderStatus = async (req, res) => {
   });
 };
 
+/**
+ * @route POST - admin/order/bulk-status
+ * @desc  Admin - Move many orders to the same status, each one on its own
+ *        so a rejected order doesn't hold up the rest
+ * @access Private
+ */
+export const bulkUpdateOrderStatus = async (req, res) => {
+  const { orderIds, status, reason } =
+    await bulkOrderStatusSchema.validateAsync(req.body, { abortEarly: false });
+  const actor = getActor(req);
+
+  const results = [];
+  for (const orderId of orderIds) {
+    try {
+      const order =
+        await Order.findById(orderId).populate('orderItems.product');
+      if (!order) {
+        throw new NotFoundError('Order not found.');
+      }
+
+      await transitionOrderStatus(order, { status, reason, actor });
+      results.push({ orderId, success: true, orderStatus: order.orderStatus });
+    } catch (error) {
+      results.push({
+        orderId,
+        success: false,
+        message:
+          error instanceof CustomAPIError
+            ? error.message
+            : 'Something went wrong while updating this order.',
+      });
+    }
+  }
+
+  const updated = results.filter((result) => result.success).length;
+
+  res.status(200).json({
+    success: true,
+    message: `${updated} of ${orderIds.length} orders updated to ${status}`,
+    data: { updated, failed: orderIds.length - updated, results },
+  });
+};
+
 /**
  * @route PUT - admin/order/:orderId
  * @desc  Admin - Process return request
@@ -1030,7 +1405,7 @@ export const updateOrderStatus = async (req, res) => {
  */
 export const requestReturnAdmin = async (req, res) => {
   const { orderId } = req.params;
-  const { productId, action } = req.body;
+  const { productId, action, note } = req.body;
 
   if (!isValidObjectId(orderId)) {
     throw new BadRequestError('Invalid order ID.');
@@ -1049,10 +1424,6 @@ export const requestReturnAdmin = async (req, res) => {
     throw new NotFoundError('Order not found');
   }
 
-  if (order.orderStatus === 'Cancelled') {
-    throw new BadRequestError('Order is already cancelled.');
-  }
-
   const orderItem = order.orderItems.find((obj) =>
     obj?.product?.equals(productId)
   );
@@ -1061,87 +1432,77 @@ export const requestReturnAdmin = async (req, res) => {
     throw new NotFoundError('Product does not exist in this order.');
   }
 
-  const invalidStatus = [
-    'Delivered',
-    'Shipped',
-    'Return Rejected',
-    'Cancelled',
-  ];
-
-  if (invalidStatus.includes(orderItem.status)) {
-    throw new BadRequestError(
-      `Product is already ${orderItem.status.toLowerCase()}`
-    );
-  }
-
-  if (!orderItem.returnRequest.requested) {
-    throw new BadRequestError('No return request has been initiated.');
-  }
-
-  if (
-    orderItem.returnRequest.approved ||
-    orderItem.returnRequest.responseSent
-  ) {
-    throw new BadRequestError('Return request has already been processed.');
+  // Decides the open return, the rest of its stages go through admin/returns
+  const returnRequest = await ReturnRequest.findOne({
+    order: order._id,
+    item: orderItem._id,
+    status: 'Requested',
+  });
+  if (!returnRequest) {
+    throw new BadRequestError('No pending return request for this product.');
   }
 
-  if (action === 'approve') {
-    orderItem.returnRequest.approved = true;
-    orderItem.status = 'Returned';
-
-    const product = await Product.findById(productId);
-    product.stock += orderItem.quantity;
-    await product.save();
-
-    const orderDiscount = order.couponDiscount;
-    const orderTotal = order.finalPrice;
-
-    const discountRatio = orderDiscount / orderTotal;
-    const itemDiscount = orderItem.totalPrice * discountRatio;
-    const refundAmount = (orderItem.totalPrice - itemDiscount).toFixed();
-
-    let wallet = await Wallet.findOne({ userId: order.user });
-    if (!wallet) {
-      wallet = await Wallet.create({ userId: order.user, transactions: [] });
-    }
-
-    wallet.transactions.push({
-      type: 'credit',
-      amount: refundAmount,
-      status: 'completed',
-      description: 'Return amount',
-    });
+  await runInTransaction((session) =>
+    advanceReturn(returnRequest, order, {
+      status: action === 'approve' ? 'Approved' : 'Rejected',
+      note,
+      actor: getActor(req),
+      session,
+    })
+  );
 
-    order.refundedAmount += Number(refundAmount);
+  res.status(200).json({
+    success: true,
+    message: 'Return request has been processed.',
+    data: { order, returnRequest },
+  });
+};
 
-    wallet.balance += Number(refundAmount);
-    await wallet.save();
-  } else if (action === 'reject') {
-    orderItem.returnRequest.approved = false;
-    orderItem.status = 'Return Rejected';
+/**
+ * @route GET - admin/order/:orderId
+ * @desc  Admin - Get one order with its status timeline
+ * @access Private
+ */
+export const getOneOrderAdmin = async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID.');
   }
 
-  orderItem.returnRequest.responseSent = true;
+  const order = await Order.findById(orderId)
+    .populate('user', 'name email phoneNumber')
+    .populate('orderItems.product', 'name price images')
+    .populate('orderItems.keys', 'status assignedAt emailedAt revokedAt')
+    .populate('statusHistory.actor', 'name email role');
+  if (!order) {
+    throw new NotFoundError('Order not found.');
+  }
 
-  await order.save();
+  const shipments = await Shipment.find({ order: order._id }).sort({
+    createdAt: 1,
+  });
 
   res.status(200).json({
     success: true,
-    message: 'Return request has been processed.',
-    data: order,
+    message: 'Order retrieved successfully',
+    data: { ...order.toObject(), shipments, timeline: buildTimeline(order) },
   });
 };
 
 /**
  * @route GET - admin/order
- * @desc  Admin - Get all orders
+ * @desc  Admin - Get all orders, filtered by status, payment, date, customer,
+ *        product or coupon, or searched by order or Razorpay order ID
  * @access Private
  */
 export const getAllOrders = async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const { page, limit, ...filters } = await orderFilterSchema.validateAsync(
+    req.query,
+    { abortEarly: false }
+  );
 
   const queryOptions = {
+    filter: await buildOrderFilter(filters),
     sort: { updatedAt: -1 },
     populate: [
       { path: 'orderItems.product', select: 'name price images' },
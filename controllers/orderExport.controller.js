@@ -0,0 +1,73 @@
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { orderExportSchema } from '../validations/admin.validations.js';
+import {
+  ORDER_EXPORT_LIMIT,
+  PICK_LIST_FORMATS,
+  findOrdersForExport,
+  renderPickList,
+} from '../utils/orderExport.js';
+import { renderPackingSlips } from '../utils/packingSlipPdf.js';
+
+/*****************************************/
+// Order Export - Admin
+/*****************************************/
+
+// Validates the filters and loads the orders, throws when none or too many match
+const loadExportOrders = async (query) => {
+  const { format, ...filters } = await orderExportSchema.validateAsync(query, {
+    abortEarly: false,
+  });
+
+  const orders = await findOrdersForExport(filters);
+  if (!orders) {
+    throw new BadRequestError(
+      `More than ${ORDER_EXPORT_LIMIT} orders match, please narrow the filters.`
+    );
+  }
+  if (!orders.length) {
+    throw new NotFoundError('No orders match these filters.');
+  }
+
+  return { orders, format };
+};
+
+const exportDate = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * @route GET - admin/order/export/pick-list
+ * @desc  Admin - Download the filtered orders as a CSV or XLSX pick list,
+ *        one row per item to pick
+ * @access Private
+ */
+export const exportPickList = async (req, res) => {
+  const { orders, format } = await loadExportOrders(req.query);
+
+  const file = await renderPickList(orders, format);
+  const { contentType, extension } = PICK_LIST_FORMATS[format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="pick-list-${exportDate()}.${extension}"`
+  );
+  res.send(Buffer.from(file));
+};
+
+/**
+ * @route GET - admin/order/export/packing-slips
+ * @desc  Admin - Download packing slips for the filtered orders as one PDF,
+ *        a page per order
+ * @access Private
+ */
+export const exportPackingSlips = async (req, res) => {
+  const { orders } = await loadExportOrders(req.query);
+
+  const pdf = await renderPackingSlips(orders);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="packing-slips-${exportDate()}.pdf"`
+  );
+  res.send(pdf);
+};
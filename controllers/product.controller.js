@@ -13,6 +13,11 @@ import {
   InternalServerError,
 } from '../errors/index.js';
 import cloudinary from '../config/cloudinary.js';
+import {
+  availableStockExpr,
+  withAvailableStock,
+} from '../utils/stockReservation.js';
+import { notifyWaitlist } from '../utils/waitlist.js';
 
 /*****************************************/
 // Products CRUD - Admin
@@ -93,6 +98,10 @@ export const addProduct = async (req, res) => {
     platform,
     brand,
     stock,
+    weight,
+    isDigital,
+    releaseDate,
+    preOrder,
     description,
     images,
     systemRequirements,
@@ -119,7 +128,11 @@ export const addProduct = async (req, res) => {
     genre: genreExist._id,
     platform,
     brand: brandExist._id,
-    stock,
+    stock: isDigital ? 0 : stock,
+    weight,
+    isDigital,
+    releaseDate,
+    preOrder,
     description,
     systemRequirements,
   });
@@ -154,6 +167,14 @@ export const editProduct = async (req, res) => {
     throw new NotFoundError('We couldn’t find the specified product.');
   }
 
+  const previousStock = oldProduct.stock;
+
+  if (oldProduct.isDigital && updatedProduct.stock !== undefined) {
+    throw new BadRequestError(
+      'Stock of a digital product comes from its uploaded keys.'
+    );
+  }
+
   if (updatedProduct.brand) {
     const brandExist = await Brand.findById(updatedProduct.brand);
     if (!brandExist) {
@@ -178,6 +199,11 @@ export const editProduct = async (req, res) => {
 
   await oldProduct.save();
 
+  // Customers waiting for it hear first, oldest first
+  if (updatedProduct.stock > previousStock) {
+    await notifyWaitlist(oldProduct._id);
+  }
+
   res.status(200).json({
     success: true,
     message: 'Product updated successfully.',
@@ -235,12 +261,6 @@ export const uploadImageCloudinary = async (req, res, next) => {
       return next(new BadRequestError('Missing file buffer'));
     }
 
-    console.log(
-      process.env.CLOUDINARY_CLOUD_NAME,
-      process.env.CLOUDINARY_API_KEY,
-      process.env.CLOUDINARY_API_SECRET
-    );
-
     cloudinary.uploader
       .upload_stream(
         { folder: 'products', resource_type: 'auto' },
@@ -360,6 +380,7 @@ export const getProducts = async (req, res) => {
           ],
         },
       },
+      { $addFields: { availableStock: availableStockExpr } },
     ],
   };
 
@@ -441,7 +462,7 @@ export const getProductsByGenre = async (req, res) => {
     success: true,
     message: 'Products by genre retrieved successfully.',
     data: {
-      products: products.result,
+      products: products.result.map(withAvailableStock),
       totalPages: products.totalPages,
       currentPage: products.currentPage,
     },
@@ -488,7 +509,7 @@ export const getRelatedProducts = async (req, res) => {
     success: true,
     message: 'Related products retrieved successfully.',
     data: {
-      products: products.result,
+      products: products.result.map(withAvailableStock),
       totalPages: products.totalPages,
       currentPage: products.currentPage,
     },
@@ -633,6 +654,7 @@ export const searchProducts = async (req, res) => {
 
   sortStage['_id'] = 1;
 
+  pipeline.push({ $addFields: { availableStock: availableStockExpr } });
   pipeline.push({ $sort: sortStage });
   pipeline.push({ $skip: (page - 1) * limit }, { $limit: limit });
 
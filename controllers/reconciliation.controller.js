@@ -0,0 +1,79 @@
+import { isValidObjectId } from 'mongoose';
+import ReconciliationReport from '../models/reconciliationReport.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { paginate } from '../utils/paginate.js';
+import { reconcilePayments } from '../utils/reconcilePayments.js';
+
+/**
+ * @route GET - admin/reconciliation
+ * @desc  Admin - List payment reconciliation reports
+ * @access Private
+ */
+export const getReconciliationReports = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const queryOptions = {
+    sort: { createdAt: -1 },
+    select: '-issues',
+  };
+
+  const reports = await paginate(
+    ReconciliationReport,
+    page,
+    limit,
+    queryOptions
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Reconciliation reports retrieved successfully.',
+    data: {
+      reports: reports.result,
+      totalPages: reports.totalPages,
+      currentPage: reports.currentPage,
+    },
+  });
+};
+
+/**
+ * @route GET - admin/reconciliation/:reportId
+ * @desc  Admin - Get one reconciliation report
+ * @access Private
+ */
+export const getReconciliationReport = async (req, res) => {
+  const { reportId } = req.params;
+
+  if (!isValidObjectId(reportId)) {
+    throw new BadRequestError('Invalid report ID.');
+  }
+
+  const report = await ReconciliationReport.findById(reportId).populate(
+    'issues.order',
+    'user finalPrice paymentStatus orderStatus placedAt'
+  );
+  if (!report) {
+    throw new NotFoundError('Reconciliation report not found.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Reconciliation report retrieved successfully.',
+    data: report,
+  });
+};
+
+/**
+ * @route POST - admin/reconciliation
+ * @desc  Admin - Run payment reconciliation now
+ * @access Private
+ */
+export const runReconciliation = async (req, res) => {
+  const report = await reconcilePayments();
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment reconciliation completed.',
+    data: report,
+  });
+};
@@ -1,6 +1,7 @@
-import { BadRequestError } from '../errors/badRequest.error.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
 import User from '../models/user.model.js';
-import Wallet from '../models/wallet.model.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import { creditWallet } from '../utils/wallet.js';
 
 /**
  * @route POST - user/referral/apply
@@ -25,38 +26,28 @@ export const applyReferralCode = async (req, res) => {
     throw new BadRequestError('Invalid referral code.');
   }
 
-  user.referredBy = referrer._id;
-  await user.save();
-
-  await Wallet.findOneAndUpdate(
-    { userId: user },
-    {
-      $inc: { balance: 100 },
-      $push: {
-        transactions: {
-          type: 'credit',
-          amount: 100,
-          status: 'completed',
-        },
-      },
-    },
-    { upsert: true, new: true }
-  );
-
-  await Wallet.findOneAndUpdate(
-    { userId: referrer._id },
-    {
-      $inc: { balance: 300 },
-      $push: {
-        transactions: {
-          type: 'credit',
-          amount: 300,
-          status: 'completed',
-        },
-      },
-    },
-    { upsert: true }
-  );
+  await runInTransaction(async (session) => {
+    user.referredBy = referrer._id;
+    await user.save({ session });
+
+    await creditWallet(user._id, 100, {
+      referenceType: 'referral',
+      referenceId: referrer._id,
+      idempotencyKey: `referral:${user._id}:referee`,
+      description: 'Referral bonus',
+      promotionalAmount: 100,
+      session,
+    });
+
+    await creditWallet(referrer._id, 300, {
+      referenceType: 'referral',
+      referenceId: user._id,
+      idempotencyKey: `referral:${user._id}:referrer`,
+      description: `Referral reward for inviting ${user.name}`,
+      promotionalAmount: 300,
+      session,
+    });
+  });
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,216 @@
+import { isValidObjectId } from 'mongoose';
+import Order from '../models/order.model.js';
+import ReturnRequest from '../models/returnRequest.model.js';
+import cloudinary from '../config/cloudinary.js';
+import {
+  BadRequestError,
+  InternalServerError,
+  NotFoundError,
+} from '../errors/index.js';
+import { paginate } from '../utils/paginate.js';
+import { advanceReturn } from '../utils/returns.js';
+import { getActor } from '../utils/orderHistory.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import { returnUpdateSchema } from '../validations/admin.validations.js';
+
+const validateReturnId = (returnId) => {
+  if (!returnId || !isValidObjectId(returnId)) {
+    throw new BadRequestError('Invalid return ID.');
+  }
+};
+
+/*****************************************/
+// Returns - User
+/*****************************************/
+
+/**
+ * @route GET - user/returns
+ * @desc  User - List own return requests
+ * @access Private
+ */
+export const getUserReturns = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const queryOptions = {
+    filter: { user: req.user.id },
+    sort: { createdAt: -1 },
+    populate: [{ path: 'product', select: 'name images' }],
+  };
+
+  const returns = await paginate(ReturnRequest, page, limit, queryOptions);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return requests retrieved successfully.',
+    data: {
+      returns: returns.result,
+      totalPages: returns.totalPages,
+      currentPage: returns.currentPage,
+    },
+  });
+};
+
+/**
+ * @route GET - user/returns/:returnId
+ * @desc  User - Get one return request with its stages
+ * @access Private
+ */
+export const getUserReturn = async (req, res) => {
+  const { returnId } = req.params;
+  validateReturnId(returnId);
+
+  const returnRequest = await ReturnRequest.findOne({
+    _id: returnId,
+    user: req.user.id,
+  })
+    .populate('product', 'name images')
+    .select('-history.by');
+  if (!returnRequest) {
+    throw new NotFoundError('Return request not found.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request retrieved successfully.',
+    data: returnRequest,
+  });
+};
+
+/**
+ * @route POST - user/returns/photos
+ * @desc  User - Upload a photo to attach to a return request
+ * @access Private
+ */
+export const uploadReturnPhoto = async (req, res) => {
+  if (!req.file?.buffer) {
+    throw new BadRequestError('No photo uploaded.');
+  }
+
+  const photo = await new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        { folder: 'returns', resource_type: 'image' },
+        (error, uploadedImage) => {
+          if (error) {
+            return reject(
+              new InternalServerError('Photo upload failed, please try again.')
+            );
+          }
+          resolve(uploadedImage);
+        }
+      )
+      .end(req.file.buffer);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Photo uploaded successfully.',
+    data: {
+      url: photo.secure_url,
+      publicId: photo.public_id,
+    },
+  });
+};
+
+/*****************************************/
+// Returns - Admin
+/*****************************************/
+
+/**
+ * @route GET - admin/returns
+ * @desc  Admin - List return requests, filterable by status
+ * @access Private
+ */
+export const getAllReturns = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const { status } = req.query;
+
+  const queryOptions = {
+    filter: status ? { status } : {},
+    sort: { updatedAt: -1 },
+    populate: [
+      { path: 'product', select: 'name images' },
+      { path: 'user', select: 'name email' },
+    ],
+  };
+
+  const returns = await paginate(ReturnRequest, page, limit, queryOptions);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return requests retrieved successfully.',
+    data: {
+      returns: returns.result,
+      totalPages: returns.totalPages,
+      currentPage: returns.currentPage,
+    },
+  });
+};
+
+/**
+ * @route GET - admin/returns/:returnId
+ * @desc  Admin - Get one return request
+ * @access Private
+ */
+export const getOneReturn = async (req, res) => {
+  const { returnId } = req.params;
+  validateReturnId(returnId);
+
+  const returnRequest = await ReturnRequest.findById(returnId)
+    .populate('product', 'name images price')
+    .populate('user', 'name email')
+    .populate('history.by', 'name');
+  if (!returnRequest) {
+    throw new NotFoundError('Return request not found.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request retrieved successfully.',
+    data: returnRequest,
+  });
+};
+
+/**
+ * @route PATCH - admin/returns/:returnId
+ * @desc  Admin - Move a return to its next stage
+ * @access Private
+ */
+export const updateReturnStatus = async (req, res) => {
+  const { returnId } = req.params;
+  validateReturnId(returnId);
+
+  const { status, note, photos, pickupScheduledFor, restock } =
+    await returnUpdateSchema.validateAsync(req.body, { abortEarly: false });
+
+  const returnRequest = await runInTransaction(async (session) => {
+    const returnRequest =
+      await ReturnRequest.findById(returnId).session(session);
+    if (!returnRequest) {
+      throw new NotFoundError('Return request not found.');
+    }
+
+    const order = await Order.findById(returnRequest.order).session(session);
+    if (!order) {
+      throw new NotFoundError('Order not found.');
+    }
+
+    return await advanceReturn(returnRequest, order, {
+      status,
+      note,
+      photos,
+      pickupScheduledFor,
+      restock,
+      actor: getActor(req),
+      session,
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Return marked as ${status.toLowerCase()}.`,
+    data: returnRequest,
+  });
+};
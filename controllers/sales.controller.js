@@ -6,6 +6,7 @@ import Order from '../models/order.model.js';
 import { generateSalesData } from '../utils/generateSalesData.js';
 import User from '../models/user.model.js';
 import { paginate } from '../utils/paginate.js';
+import { drawTableRow } from '../utils/pdfTable.js';
 
 /**
  * @route GET - /admin/reports/sales
@@ -244,47 +245,6 @@ export const getSalesData = async (req, res) => {
  * @desc  Admin - Generate Sales Report (PDF)
  * @access Private
  */
-
-const drawTableRow = (doc, y, columnWidths, rowData, alignments = []) => {
-  const rowHeight = 18; // Compact row height
-  let x = 50;
-
-  // Draw row background
-  doc
-    .rect(50, y, doc.page.width - 100, rowHeight)
-    .fill(rowData.isHeader ? '#2c3e50' : '#ffffff');
-
-  rowData.data.forEach((data, index) => {
-    // Set text styling
-    doc
-      .fontSize(rowData.isHeader ? 9 : 8) // Smaller font sizes
-      .font(rowData.isHeader ? 'Helvetica-Bold' : 'Helvetica')
-      .fillColor(rowData.isHeader ? '#ffffff' : '#333333');
-
-    // Calculate text position with precise padding
-    const textX =
-      x + (alignments[index] === 'right' ? columnWidths[index] - 6 : 6);
-    const textY = y + rowHeight / 4;
-
-    // Render text with truncation
-    doc.text(data.toString(), textX, textY, {
-      width: columnWidths[index] - 12,
-      align: alignments[index] || 'left',
-      lineBreak: false,
-      ellipsis: true,
-    });
-
-    // Draw cell borders
-    doc
-      .lineWidth(0.3)
-      .rect(x, y, columnWidths[index], rowHeight)
-      .stroke('#e0e0e0');
-
-    x += columnWidths[index];
-  });
-
-  return rowHeight;
-};
 export const generateSalesPDF = async (req, res) => {
   try {
     const { startDate, endDate, period } = req.query;
@@ -346,6 +306,10 @@ export const generateSalesPDF = async (req, res) => {
       ['Total Discounts:', `${summary.totalDiscounts.toFixed(2)}`],
       ['Coupon Discounts:', `${summary.totalCouponDiscounts.toFixed(2)}`],
       ['Shipping Charges:', `${summary.totalShippingCharges.toFixed(2)}`],
+      ['Taxable Value:', `${summary.totalTaxableValue.toFixed(2)}`],
+      ['CGST:', `${summary.totalCgst.toFixed(2)}`],
+      ['SGST:', `${summary.totalSgst.toFixed(2)}`],
+      ['IGST:', `${summary.totalIgst.toFixed(2)}`],
       ['Net Revenue:', `${summary.netRevenue.toFixed(2)}`],
     ];
 
@@ -373,13 +337,14 @@ export const generateSalesPDF = async (req, res) => {
     // Table Section
     const pageWidth = doc.page.width - 100;
     const columnWidths = [
-      Math.round(pageWidth * 0.12), // Order ID (98px)
-      Math.round(pageWidth * 0.18), // Customer (148px)
-      Math.round(pageWidth * 0.14), // Date (82px)
-      Math.round(pageWidth * 0.14), // Total (110px)
-      Math.round(pageWidth * 0.14), // Total (110px)
-      Math.round(pageWidth * 0.14), // Total (110px)
-      Math.round(pageWidth * 0.15), // Net Total (110px)
+      Math.round(pageWidth * 0.11), // Order ID
+      Math.round(pageWidth * 0.16), // Customer
+      Math.round(pageWidth * 0.11), // Date
+      Math.round(pageWidth * 0.12), // Discount
+      Math.round(pageWidth * 0.12), // Coupon
+      Math.round(pageWidth * 0.12), // Total
+      Math.round(pageWidth * 0.12), // GST
+      Math.round(pageWidth * 0.14), // Net Total
     ];
 
     const headers = [
@@ -389,9 +354,19 @@ export const generateSalesPDF = async (req, res) => {
       'Discount',
       'Coupon',
       'Total',
+      'GST',
       'Net Total',
     ].map((h) => h.trim());
-    const alignments = ['left', 'left', 'left', 'left', 'left', 'left', 'left'];
+    const alignments = [
+      'left',
+      'left',
+      'left',
+      'left',
+      'left',
+      'left',
+      'left',
+      'left',
+    ];
 
     let currentY = summaryY + 40; // Tighter spacing
 
@@ -445,6 +420,7 @@ export const generateSalesPDF = async (req, res) => {
           order.totalOrderAmount !== undefined
             ? `₹${order.totalOrderAmount.toFixed(2)}`
             : '₹0.00', // Total Amount
+          `₹${(order.cgst + order.sgst + order.igst).toFixed(2)}`, // GST
           order.netTotal !== undefined
             ? `₹${order.netTotal.toFixed(2)}`
             : '₹0.00', // Net Total
@@ -503,6 +479,10 @@ export const generateSalesExcel = async (req, res) => {
       'Total Shipping Charges',
       `₹${summary.totalShippingCharges}`,
     ]);
+    worksheet.addRow(['Taxable Value', `₹${summary.totalTaxableValue}`]);
+    worksheet.addRow(['CGST', `₹${summary.totalCgst}`]);
+    worksheet.addRow(['SGST', `₹${summary.totalSgst}`]);
+    worksheet.addRow(['IGST', `₹${summary.totalIgst}`]);
     worksheet.addRow(['Net Revenue', `₹${summary.netRevenue}`]);
     worksheet.addRow([]);
 
@@ -516,6 +496,10 @@ export const generateSalesExcel = async (req, res) => {
       'Offer Discount',
       'Coupon Discount',
       'Shipping Charge',
+      'Taxable Value',
+      'CGST',
+      'SGST',
+      'IGST',
       'Net Total (₹)',
     ]).font = { bold: true };
 
@@ -530,6 +514,10 @@ export const generateSalesExcel = async (req, res) => {
         `₹${order.discount}`,
         `₹${order.couponDiscount}`,
         `₹${order.shippingCharge}`,
+        `₹${order.taxableValue}`,
+        `₹${order.cgst}`,
+        `₹${order.sgst}`,
+        `₹${order.igst}`,
         `₹${order.netTotal}`,
       ]);
     });
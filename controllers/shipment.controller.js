@@ -0,0 +1,191 @@
+import { isValidObjectId } from 'mongoose';
+import Order from '../models/order.model.js';
+import Shipment from '../models/shipment.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import { getActor, recordStatusChange } from '../utils/orderHistory.js';
+import { issueInvoice } from '../utils/invoices.js';
+import { shipmentSchema } from '../validations/admin.validations.js';
+
+// The order status is derived from its items when the order is saved,
+// record it in the history when a shipment moves it along
+const saveWithDerivedStatus = async (order, actor, session) => {
+  const previousStatus = order.orderStatus;
+  await order.save({ session });
+
+  if (order.orderStatus !== previousStatus) {
+    recordStatusChange(order, { status: order.orderStatus, actor });
+    await order.save({ session });
+  }
+};
+
+/**
+ * @route POST - admin/order/:orderId/shipments
+ * @desc  Admin - Ship some of an order's items in a package
+ * @access Private
+ */
+export const createShipment = async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID.');
+  }
+
+  const { items, carrier, trackingNumber, trackingUrl, estimatedDelivery } =
+    await shipmentSchema.validateAsync(req.body, { abortEarly: false });
+  const actor = getActor(req);
+
+  const shipment = await runInTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new NotFoundError('Order not found.');
+    }
+
+    if (['Pending', 'Failed'].includes(order.paymentStatus)) {
+      if (order.paymentMethod !== 'Cash on Delivery') {
+        throw new BadRequestError('Unpaid orders cannot be shipped.');
+      }
+    }
+
+    const orderItems = items.map((itemId) => {
+      const item = order.orderItems.id(itemId);
+      if (!item) {
+        throw new NotFoundError(`Item ${itemId} does not exist in this order.`);
+      }
+
+      if (item.status === 'Pre-Ordered') {
+        throw new BadRequestError(
+          `Item ${itemId} is a pre-order and ships after its release.`
+        );
+      }
+
+      if (item.status !== 'Pending') {
+        throw new BadRequestError(
+          `Item ${itemId} is already ${item.status.toLowerCase()}.`
+        );
+      }
+
+      return item;
+    });
+
+    const [shipment] = await Shipment.create(
+      [
+        {
+          order: order._id,
+          items,
+          carrier,
+          trackingNumber,
+          trackingUrl: trackingUrl || null,
+          estimatedDelivery,
+          createdBy: actor.id,
+        },
+      ],
+      { session }
+    );
+
+    for (const item of orderItems) {
+      item.status = 'Shipped';
+      recordStatusChange(order, {
+        scope: 'item',
+        status: 'Shipped',
+        item,
+        actor,
+        reason: `${carrier} ${trackingNumber}`,
+      });
+    }
+
+    // Delivery estimate of the order is its latest package
+    if (!order.deliveryBy || order.deliveryBy < estimatedDelivery) {
+      order.deliveryBy = estimatedDelivery;
+    }
+
+    await saveWithDerivedStatus(order, actor, session);
+
+    return shipment;
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipment created successfully.',
+    data: shipment,
+  });
+};
+
+/**
+ * @route PATCH - admin/shipments/:shipmentId
+ * @desc  Admin - Mark a shipment as delivered
+ * @access Private
+ */
+export const markShipmentDelivered = async (req, res) => {
+  const { shipmentId } = req.params;
+  if (!isValidObjectId(shipmentId)) {
+    throw new BadRequestError('Invalid shipment ID.');
+  }
+  const actor = getActor(req);
+
+  const shipment = await runInTransaction(async (session) => {
+    const shipment = await Shipment.findById(shipmentId).session(session);
+    if (!shipment) {
+      throw new NotFoundError('Shipment not found.');
+    }
+
+    if (shipment.status === 'Delivered') {
+      throw new BadRequestError('Shipment is already delivered.');
+    }
+
+    const order = await Order.findById(shipment.order).session(session);
+    const deliveredAt = new Date();
+
+    for (const itemId of shipment.items) {
+      const item = order.orderItems.id(itemId);
+      if (item?.status !== 'Shipped') continue;
+
+      item.status = 'Delivered';
+      item.deliveredAt = deliveredAt;
+      recordStatusChange(order, {
+        scope: 'item',
+        status: 'Delivered',
+        item,
+        actor,
+        reason: `${shipment.carrier} ${shipment.trackingNumber}`,
+      });
+    }
+
+    // Cash on Delivery orders are invoiced once goods reach the customer
+    await issueInvoice(order, { session });
+    await saveWithDerivedStatus(order, actor, session);
+
+    shipment.status = 'Delivered';
+    shipment.deliveredAt = deliveredAt;
+    await shipment.save({ session });
+
+    return shipment;
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipment marked as delivered.',
+    data: shipment,
+  });
+};
+
+/**
+ * @route GET - admin/order/:orderId/shipments
+ * @desc  Admin - List an order's shipments
+ * @access Private
+ */
+export const getOrderShipments = async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID.');
+  }
+
+  const shipments = await Shipment.find({ order: orderId }).sort({
+    createdAt: 1,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipments retrieved successfully.',
+    data: shipments,
+  });
+};
@@ -0,0 +1,146 @@
+import { isValidObjectId } from 'mongoose';
+import ShippingZone from '../models/shippingZone.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { paginate } from '../utils/paginate.js';
+import { shippingZoneSchema } from '../validations/admin.validations.js';
+
+/*****************************************/
+// Shipping Zones - Admin
+/*****************************************/
+
+/**
+ * @route POST - admin/shipping-zones
+ * @desc  Admin - Create a shipping zone
+ * @access Private
+ */
+export const addShippingZone = async (req, res) => {
+  const zone = await shippingZoneSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const existingZone = await ShippingZone.findOne({ name: zone.name });
+  if (existingZone) {
+    throw new BadRequestError('A shipping zone with this name already exists.');
+  }
+
+  const newZone = await ShippingZone.create(zone);
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping zone created successfully.',
+    data: newZone,
+  });
+};
+
+/**
+ * @route PUT - admin/shipping-zones/:zoneId
+ * @desc  Admin - Edit a shipping zone
+ * @access Private
+ */
+export const editShippingZone = async (req, res) => {
+  const { zoneId } = req.params;
+  if (!isValidObjectId(zoneId)) {
+    throw new BadRequestError('Invalid shipping zone ID.');
+  }
+
+  const updates = await shippingZoneSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const zone = await ShippingZone.findById(zoneId);
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found.');
+  }
+
+  const duplicateZone = await ShippingZone.findOne({
+    name: updates.name,
+    _id: { $ne: zoneId },
+  });
+  if (duplicateZone) {
+    throw new BadRequestError('A shipping zone with this name already exists.');
+  }
+
+  zone.set(updates);
+  await zone.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone updated successfully.',
+    data: zone,
+  });
+};
+
+/**
+ * @route PATCH - admin/shipping-zones/:zoneId
+ * @desc  Admin - Toggling a shipping zone
+ * @access Private
+ */
+export const toggleShippingZone = async (req, res) => {
+  const { zoneId } = req.params;
+  if (!isValidObjectId(zoneId)) {
+    throw new BadRequestError('Invalid shipping zone ID.');
+  }
+
+  const zone = await ShippingZone.findById(zoneId);
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found.');
+  }
+
+  zone.isActive = !zone.isActive;
+  await zone.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Shipping zone ${
+      zone.isActive ? 'activated' : 'deactivated'
+    } successfully.`,
+    data: null,
+  });
+};
+
+/**
+ * @route GET - admin/shipping-zones
+ * @desc  Admin - Listing all shipping zones
+ * @access Private
+ */
+export const getAllShippingZones = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const zones = await paginate(ShippingZone, page, limit, {
+    sort: { updatedAt: -1 },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zones retrieved successfully.',
+    data: {
+      zones: zones.result,
+      totalPages: zones.totalPages,
+      currentPage: zones.currentPage,
+    },
+  });
+};
+
+/**
+ * @route GET - admin/shipping-zones/:zoneId
+ * @desc  Admin - Get one shipping zone
+ * @access Private
+ */
+export const getOneShippingZone = async (req, res) => {
+  const { zoneId } = req.params;
+  if (!isValidObjectId(zoneId)) {
+    throw new BadRequestError('Invalid shipping zone ID.');
+  }
+
+  const zone = await ShippingZone.findById(zoneId);
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone retrieved successfully.',
+    data: zone,
+  });
+};
@@ -0,0 +1,124 @@
+import { isValidObjectId } from 'mongoose';
+import TaxRate from '../models/taxRate.model.js';
+import Genre from '../models/genre.model.js';
+import Product from '../models/product.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { paginate } from '../utils/paginate.js';
+import { taxRateSchema } from '../validations/admin.validations.js';
+
+// A rate has to point at an existing genre or product
+const assertTargetExists = async ({ scope, target }) => {
+  const Model = scope === 'genre' ? Genre : Product;
+  if (!(await Model.exists({ _id: target }))) {
+    throw new NotFoundError(`The specified ${scope} is not available.`);
+  }
+};
+
+/*****************************************/
+// Tax Rates - Admin
+/*****************************************/
+
+/**
+ * @route POST - admin/tax-rates
+ * @desc  Admin - Create a GST rate for a genre or product
+ * @access Private
+ */
+export const addTaxRate = async (req, res) => {
+  const taxRate = await taxRateSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  await assertTargetExists(taxRate);
+  const newTaxRate = await TaxRate.create(taxRate);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tax rate created successfully.',
+    data: newTaxRate,
+  });
+};
+
+/**
+ * @route PUT - admin/tax-rates/:taxRateId
+ * @desc  Admin - Edit a GST rate
+ * @access Private
+ */
+export const editTaxRate = async (req, res) => {
+  const { taxRateId } = req.params;
+  if (!isValidObjectId(taxRateId)) {
+    throw new BadRequestError('Invalid tax rate ID.');
+  }
+
+  const updates = await taxRateSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const taxRate = await TaxRate.findById(taxRateId);
+  if (!taxRate) {
+    throw new NotFoundError('Tax rate not found.');
+  }
+
+  await assertTargetExists(updates);
+  taxRate.set(updates);
+  await taxRate.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rate updated successfully.',
+    data: taxRate,
+  });
+};
+
+/**
+ * @route PATCH - admin/tax-rates/:taxRateId
+ * @desc  Admin - Toggling a GST rate
+ * @access Private
+ */
+export const toggleTaxRate = async (req, res) => {
+  const { taxRateId } = req.params;
+  if (!isValidObjectId(taxRateId)) {
+    throw new BadRequestError('Invalid tax rate ID.');
+  }
+
+  const taxRate = await TaxRate.findById(taxRateId);
+  if (!taxRate) {
+    throw new NotFoundError('Tax rate not found.');
+  }
+
+  taxRate.isActive = !taxRate.isActive;
+  await taxRate.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Tax rate ${
+      taxRate.isActive ? 'activated' : 'deactivated'
+    } successfully.`,
+    data: null,
+  });
+};
+
+/**
+ * @route GET - admin/tax-rates
+ * @desc  Admin - Listing GST rates, filterable by scope
+ * @access Private
+ */
+export const getAllTaxRates = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const { scope } = req.query;
+
+  const taxRates = await paginate(TaxRate, page, limit, {
+    filter: ['genre', 'product'].includes(scope) ? { scope } : {},
+    sort: { updatedAt: -1 },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rates retrieved successfully.',
+    data: {
+      taxRates: taxRates.result,
+      totalPages: taxRates.totalPages,
+      currentPage: taxRates.currentPage,
+    },
+  });
+};
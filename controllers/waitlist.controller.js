@@ -0,0 +1,161 @@
+import { isValidObjectId } from 'mongoose';
+import Product from '../models/product.model.js';
+import WaitlistEntry from '../models/waitlistEntry.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { aggregatePaginate } from '../utils/aggregatePaginate.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import {
+  ACTIVE_WAITLIST_STATUSES,
+  endWaitlistEntry,
+} from '../utils/waitlist.js';
+import { joinWaitlistSchema } from '../validations/user.validations.js';
+
+/*****************************************/
+// Waitlist - User
+/*****************************************/
+
+/**
+ * @route POST - user/waitlist
+ * @desc  User - Join the waitlist of an out of stock product
+ * @access Private
+ */
+export const joinWaitlist = async (req, res) => {
+  const userId = req.user.id;
+  const { productId, quantity } = await joinWaitlistSchema.validateAsync(
+    req.body,
+    { abortEarly: false }
+  );
+
+  const product = await Product.findOne({ _id: productId, isActive: true });
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  if (product.availableStock >= quantity) {
+    throw new BadRequestError('This product is in stock, add it to your cart.');
+  }
+
+  const existingEntry = await WaitlistEntry.findOne({
+    user: userId,
+    product: productId,
+    status: { $in: ACTIVE_WAITLIST_STATUSES },
+  });
+  if (existingEntry) {
+    throw new BadRequestError(
+      "You're already on the waitlist for this product."
+    );
+  }
+
+  const entry = await WaitlistEntry.create({
+    user: userId,
+    product: productId,
+    quantity,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "You've joined the waitlist, we'll let you know when it's back.",
+    data: entry,
+  });
+};
+
+/**
+ * @route GET - user/waitlist
+ * @desc  User - Products the user is waiting for
+ * @access Private
+ */
+export const getUserWaitlist = async (req, res) => {
+  const entries = await WaitlistEntry.find({
+    user: req.user.id,
+    status: { $in: [...ACTIVE_WAITLIST_STATUSES, 'notified'] },
+  })
+    .sort({ createdAt: -1 })
+    .populate('product', 'name price images stock reservedStock');
+
+  res.status(200).json({
+    success: true,
+    message: 'Waitlist retrieved successfully.',
+    data: entries,
+  });
+};
+
+/**
+ * @route DELETE - user/waitlist/:productId
+ * @desc  User - Leave a product's waitlist, giving up any held units
+ * @access Private
+ */
+export const leaveWaitlist = async (req, res) => {
+  const { productId } = req.params;
+  if (!isValidObjectId(productId)) {
+    throw new BadRequestError('Invalid product ID.');
+  }
+
+  const entry = await WaitlistEntry.findOne({
+    user: req.user.id,
+    product: productId,
+    status: { $in: ACTIVE_WAITLIST_STATUSES },
+  });
+  if (!entry) {
+    throw new NotFoundError("You're not on the waitlist for this product.");
+  }
+
+  await runInTransaction((session) =>
+    endWaitlistEntry(entry._id, 'left', { session })
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "You've left the waitlist.",
+    data: null,
+  });
+};
+
+/*****************************************/
+// Waitlist - Admin
+/*****************************************/
+
+/**
+ * @route GET - admin/waitlists
+ * @desc  Admin - Waitlist size per product, longest first
+ * @access Private
+ */
+export const getWaitlistSizes = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const waitlists = await aggregatePaginate(WaitlistEntry, page, limit, {
+    filter: { status: { $in: ACTIVE_WAITLIST_STATUSES } },
+    additionalPipeline: [
+      {
+        $group: {
+          _id: '$product',
+          customers: { $sum: 1 },
+          quantity: { $sum: '$quantity' },
+          heldQuantity: { $sum: '$heldQuantity' },
+          waitingSince: { $min: '$createdAt' },
+        },
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product',
+          pipeline: [{ $project: { name: 1, stock: 1, reservedStock: 1 } }],
+        },
+      },
+      { $unwind: '$product' },
+    ],
+    sort: { quantity: -1, _id: 1 },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Waitlists retrieved successfully.',
+    data: {
+      waitlists: waitlists.result,
+      totalPages: waitlists.totalPages,
+      currentPage: waitlists.currentPage,
+    },
+  });
+};
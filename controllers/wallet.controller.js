@@ -1,7 +1,37 @@
+import PDFDocument from 'pdfkit';
+import ExcelJS from 'exceljs';
+import { endOfDay, startOfDay } from 'date-fns';
+import { isValidObjectId, Types } from 'mongoose';
 import { BadRequestError, NotFoundError } from '../errors/index.js';
 import Wallet from '../models/wallet.model.js';
-import { createRazorpayOrder } from '../utils/createRazorpayOrder.js';
-import crypto from 'crypto';
+import User from '../models/user.model.js';
+import WalletLedgerEntry from '../models/walletLedgerEntry.model.js';
+import WalletTopUp from '../models/walletTopUp.model.js';
+import PromotionalCredit from '../models/promotionalCredit.model.js';
+import { paymentProvider } from '../utils/payment/index.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import {
+  creditWallet,
+  debitWallet,
+  findUsableWallet,
+  findWalletDrift,
+} from '../utils/wallet.js';
+import { completeWalletTopUp } from '../utils/walletTopUp.js';
+import {
+  findWalletTransactions,
+  getLedgerBalanceAt,
+} from '../utils/walletHistory.js';
+import { drawTableRow } from '../utils/pdfTable.js';
+import {
+  walletStatementSchema,
+  walletTransactionsSchema,
+} from '../validations/user.validations.js';
+import {
+  walletAdjustmentSchema,
+  walletFreezeSchema,
+} from '../validations/admin.validations.js';
+
+const RECENT_TRANSACTIONS_LIMIT = 20;
 
 /**
  * @route GET - user/wallet
@@ -14,13 +44,36 @@ export const getOneWallet = async (req, res) => {
   let wallet = await Wallet.findOne({ userId });
 
   if (!wallet) {
-    wallet = await Wallet.create({ userId, transactions: [] });
+    wallet = await Wallet.create({ userId });
   }
 
+  const entries = await WalletLedgerEntry.find({ userId, account: 'wallet' })
+    .sort({ createdAt: -1 })
+    .limit(RECENT_TRANSACTIONS_LIMIT);
+
+  const promotionalCredits = await PromotionalCredit.find({
+    userId,
+    status: 'active',
+  })
+    .sort({ expiresAt: 1 })
+    .select('amount remaining expiresAt referenceType');
+
+  const transactions = entries.map((entry) => ({
+    _id: entry._id,
+    type: entry.entryType,
+    amount: entry.amount,
+    bucket: entry.bucket,
+    description: entry.description,
+    referenceType: entry.referenceType,
+    referenceId: entry.referenceId,
+    status: 'completed',
+    createdAt: entry.createdAt,
+  }));
+
   res.status(200).json({
     success: true,
     message: 'Wallet retrieved successfully',
-    data: wallet,
+    data: { ...wallet.toObject(), promotionalCredits, transactions },
   });
 };
 
@@ -37,23 +90,15 @@ export const addMoneyWallet = async (req, res) => {
     throw new BadRequestError('Please provide the amount to add to wallet.');
   }
 
-  const razorpayOrder = await createRazorpayOrder(amount);
+  await findUsableWallet(userId);
 
-  await Wallet.findOneAndUpdate(
-    { userId },
-    {
-      $push: {
-        transactions: {
-          type: 'credit',
-          amount,
-          status: 'pending',
-          description: 'Money added to wallet',
-          razorpayOrderId: razorpayOrder.id,
-        },
-      },
-    },
-    { upsert: true, new: true }
-  );
+  const razorpayOrder = await paymentProvider.createOrder(amount);
+
+  await WalletTopUp.create({
+    userId,
+    amount,
+    razorpayOrderId: razorpayOrder.id,
+  });
 
   res.status(201).json({
     success: true,
@@ -76,41 +121,417 @@ export const verifyAddMoneyWallet = async (req, res) => {
 
   const userId = req.user.id;
 
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.RZP_SECRET_KEY)
-    .update(`${razorpayOrderId}|${paymentId}`)
-    .digest('hex');
+  const isValidSignature = paymentProvider.verifyPaymentSignature({
+    orderId: razorpayOrderId,
+    paymentId,
+    signature,
+  });
 
-  if (signature !== expectedSignature) {
+  if (!isValidSignature) {
     throw new BadRequestError('Invalid signature');
   }
 
-  const wallet = await Wallet.findOne({ userId });
-  if (!wallet) {
-    throw new NotFoundError('No wallet found.');
+  const topUp = await WalletTopUp.findOne({ userId, razorpayOrderId });
+  if (!topUp) {
+    throw new NotFoundError('No transaction found.');
+  }
+
+  // The webhook may have credited it already
+  if (topUp.status !== 'pending') {
+    throw new BadRequestError('Transaction already processed.');
   }
 
-  const transaction = wallet.transactions.find((transaction) => {
-    return transaction?.razorpayOrderId === razorpayOrderId;
+  await runInTransaction((session) =>
+    completeWalletTopUp(razorpayOrderId, { paymentId, session })
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Razorpay order created successfully.',
+    data: {},
   });
+};
 
-  if (!transaction) {
-    throw new NotFoundError('No transaction found.');
+/**
+ * @route GET - user/wallet/transactions
+ * @desc  User - Wallet transaction history, filterable, with cursor pagination
+ * @access Private
+ */
+export const getWalletTransactions = async (req, res) => {
+  const { cursor, limit, ...filters } =
+    await walletTransactionsSchema.validateAsync(req.query, {
+      abortEarly: false,
+    });
+
+  const { transactions, nextCursor } = await findWalletTransactions(
+    req.user.id,
+    filters,
+    { cursor, limit }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Wallet transactions retrieved successfully.',
+    data: {
+      transactions,
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+    },
+  });
+};
+
+const formatStatementDate = (date) =>
+  new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+  });
+
+// Completed movements in the range, oldest first, with a running balance
+const buildStatement = async (userId, startDate, endDate) => {
+  const openingBalance = await getLedgerBalanceAt(userId, startDate);
+  const { transactions } = await findWalletTransactions(userId, {
+    status: 'completed',
+    startDate,
+    endDate,
+  });
+
+  let balance = openingBalance;
+  const rows = transactions.reverse().map((transaction) => {
+    balance +=
+      transaction.type === 'credit' ? transaction.amount : -transaction.amount;
+
+    return { ...transaction, balance };
+  });
+
+  return { openingBalance, closingBalance: balance, rows };
+};
+
+const sendStatementCSV = async (res, statement, fileName) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Wallet Statement');
+
+  worksheet.addRow([
+    'Date',
+    'Description',
+    'Reference',
+    'Debit',
+    'Credit',
+    'Balance',
+  ]);
+  worksheet.addRow([
+    '',
+    'Opening balance',
+    '',
+    '',
+    '',
+    statement.openingBalance,
+  ]);
+
+  statement.rows.forEach((row) => {
+    worksheet.addRow([
+      formatStatementDate(row.createdAt),
+      row.description || '',
+      `${row.referenceType}${row.referenceId ? ` ${row.referenceId}` : ''}`,
+      row.type === 'debit' ? row.amount : '',
+      row.type === 'credit' ? row.amount : '',
+      row.balance,
+    ]);
+  });
+
+  worksheet.addRow([
+    '',
+    'Closing balance',
+    '',
+    '',
+    '',
+    statement.closingBalance,
+  ]);
+
+  const buffer = await workbook.csv.writeBuffer();
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${fileName}.csv"`
+  );
+  res.send(buffer);
+};
+
+const sendStatementPDF = (res, statement, fileName, period) => {
+  const doc = new PDFDocument({
+    margin: 50,
+    size: 'A4',
+    layout: 'portrait',
+    font: 'Helvetica',
+    bufferPages: true,
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${fileName}.pdf"`
+  );
+  doc.pipe(res);
+
+  doc
+    .fillColor('#2c3e50')
+    .fontSize(18)
+    .font('Helvetica-Bold')
+    .text('WALLET STATEMENT', { align: 'center' })
+    .moveDown(0.3);
+
+  doc
+    .fontSize(10)
+    .fillColor('#666666')
+    .font('Helvetica')
+    .text(
+      `Period: ${period} | Generated: ${new Date().toLocaleDateString('en-IN')}`,
+      { align: 'center' }
+    )
+    .moveDown(1);
+
+  let currentY = 130;
+  [
+    ['Opening Balance:', statement.openingBalance.toFixed(2)],
+    ['Closing Balance:', statement.closingBalance.toFixed(2)],
+  ].forEach(([label, value]) => {
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(10)
+      .fillColor('#333333')
+      .text(label, 70, currentY, { width: 150 });
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .text(value, 220, currentY, { width: 150, align: 'right' });
+    currentY += 20;
+  });
+
+  const pageWidth = doc.page.width - 100;
+  const columnWidths = [0.14, 0.3, 0.2, 0.12, 0.12, 0.12].map((share) =>
+    Math.round(pageWidth * share)
+  );
+  const headers = {
+    data: ['Date', 'Description', 'Reference', 'Debit', 'Credit', 'Balance'],
+    isHeader: true,
+  };
+  const alignments = ['left', 'left', 'left', 'right', 'right', 'right'];
+
+  currentY += 20;
+  currentY += drawTableRow(doc, currentY, columnWidths, headers, alignments);
+
+  statement.rows.forEach((row, index) => {
+    if (currentY > doc.page.height - 60) {
+      doc.addPage();
+      currentY = 50;
+      currentY += drawTableRow(
+        doc,
+        currentY,
+        columnWidths,
+        headers,
+        alignments
+      );
+    }
+
+    if (index % 2 !== 0) {
+      doc.rect(50, currentY, doc.page.width - 100, 18).fill('#f8f9fa');
+    }
+
+    currentY += drawTableRow(
+      doc,
+      currentY,
+      columnWidths,
+      {
+        data: [
+          formatStatementDate(row.createdAt),
+          row.description || '-',
+          row.referenceType,
+          row.type === 'debit' ? row.amount.toFixed(2) : '',
+          row.type === 'credit' ? row.amount.toFixed(2) : '',
+          row.balance.toFixed(2),
+        ],
+        isHeader: false,
+      },
+      alignments
+    );
+  });
+
+  doc.end();
+};
+
+/**
+ * @route GET - user/wallet/statement
+ * @desc  User - Download wallet statement for a date range (PDF or CSV)
+ * @access Private
+ */
+export const getWalletStatement = async (req, res) => {
+  const { startDate, endDate, format } =
+    await walletStatementSchema.validateAsync(req.query, {
+      abortEarly: false,
+    });
+
+  const start = startOfDay(startDate);
+  const end = endOfDay(endDate);
+  const statement = await buildStatement(req.user.id, start, end);
+
+  const fileName = `wallet_statement_${start.toISOString().slice(0, 10)}_${end
+    .toISOString()
+    .slice(0, 10)}`;
+
+  if (format === 'csv') {
+    return await sendStatementCSV(res, statement, fileName);
   }
 
-  if (transaction.status !== 'pending') {
-    throw new BadRequestError('Transaction already processed.');
+  sendStatementPDF(
+    res,
+    statement,
+    fileName,
+    `${formatStatementDate(start)} - ${formatStatementDate(end)}`
+  );
+};
+
+/**
+ * @route GET - admin/wallets/drift
+ * @desc  Admin - List wallets whose balance doesn't match their ledger
+ * @access Private
+ */
+export const getWalletDriftReport = async (req, res) => {
+  const drift = await findWalletDrift();
+
+  res.status(200).json({
+    success: true,
+    message: drift.length
+      ? 'Wallet balances drifting from the ledger found.'
+      : 'All wallet balances match the ledger.',
+    data: {
+      checkedAt: new Date(),
+      count: drift.length,
+      wallets: drift,
+    },
+  });
+};
+
+const findCustomer = async (userId) => {
+  if (!userId || !isValidObjectId(userId)) {
+    throw new BadRequestError('Invalid user ID format.');
+  }
+
+  const user = await User.findById(userId).select('name email role');
+  if (!user) {
+    throw new NotFoundError('No User found.');
   }
 
-  wallet.balance += transaction.amount;
-  transaction.status = 'completed';
-  transaction.razorpayPaymentId = paymentId;
+  return user;
+};
+
+/**
+ * @route GET - admin/users/:userId/wallet
+ * @desc  Admin - View a customer's wallet balance and ledger
+ * @access Private
+ */
+export const getUserWalletAdmin = async (req, res) => {
+  const user = await findCustomer(req.params.userId);
 
-  await wallet.save();
+  const { cursor, limit, ...filters } =
+    await walletTransactionsSchema.validateAsync(req.query, {
+      abortEarly: false,
+    });
+
+  const wallet = await Wallet.findOne({ userId: user._id });
+  const { transactions, nextCursor } = await findWalletTransactions(
+    user._id,
+    filters,
+    { cursor, limit }
+  );
 
   res.status(200).json({
     success: true,
-    message: 'Razorpay order created successfully.',
-    data: {},
+    message: 'Wallet retrieved successfully.',
+    data: {
+      user,
+      wallet,
+      transactions,
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+    },
+  });
+};
+
+/**
+ * @route POST - admin/users/:userId/wallet
+ * @desc  Admin - Manually credit or debit a customer's wallet
+ * @access Private
+ */
+export const adjustUserWallet = async (req, res) => {
+  const user = await findCustomer(req.params.userId);
+
+  const { type, amount, reason, idempotencyKey } =
+    await walletAdjustmentSchema.validateAsync(req.body, {
+      abortEarly: false,
+    });
+
+  // Lets the client retry a timed out request without posting it twice,
+  // scoped to the customer so keys can't collide across wallets
+  const key = `adjustment:${user._id}:${idempotencyKey || new Types.ObjectId()}`;
+
+  const wallet = await runInTransaction(async (session) => {
+    const posting = {
+      referenceType: 'adjustment',
+      referenceId: req.user.id,
+      idempotencyKey: key,
+      description: reason,
+      createdBy: req.user.id,
+      session,
+    };
+
+    if (type === 'credit') {
+      return await creditWallet(user._id, amount, posting);
+    }
+
+    const wallet = await debitWallet(user._id, amount, posting);
+    if (!wallet) {
+      throw new BadRequestError(
+        'The wallet balance is too low for this debit.'
+      );
+    }
+
+    return wallet;
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Wallet ${type === 'credit' ? 'credited' : 'debited'} successfully.`,
+    data: wallet,
+  });
+};
+
+/**
+ * @route PATCH - admin/users/:userId/wallet
+ * @desc  Admin - Freeze or unfreeze a customer's wallet
+ * @access Private
+ */
+export const setWalletFreeze = async (req, res) => {
+  const user = await findCustomer(req.params.userId);
+
+  const { frozen, reason } = await walletFreezeSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { userId: user._id },
+    {
+      isFrozen: frozen,
+      frozenReason: frozen ? reason : null,
+      frozenBy: frozen ? req.user.id : null,
+      frozenAt: frozen ? new Date() : null,
+    },
+    { upsert: true, new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Wallet ${frozen ? 'frozen' : 'unfrozen'} successfully.`,
+    data: wallet,
   });
 };
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import Order from '../models/order.model.js';
+import WebhookEvent from '../models/webhookEvent.model.js';
+import { BadRequestError, CustomAPIError } from '../errors/index.js';
+import { paymentProvider } from '../utils/payment/index.js';
+import { runInTransaction } from '../utils/runInTransaction.js';
+import {
+  isPaymentSettled,
+  markOrderPaid,
+  markOrderPaymentFailed,
+  refundUnfulfillablePayment,
+} from '../utils/orderPayment.js';
+import { completeWalletTopUp, failWalletTopUp } from '../utils/walletTopUp.js';
+
+const handlePaymentCaptured = async ({ payment }, session) => {
+  const { id: paymentId, order_id: razorpayOrderId } = payment.entity;
+
+  const order = await Order.findOne({ razorpayOrderId }).session(session);
+  if (order) {
+    await markOrderPaid(order, {
+      paymentId,
+      reason: 'Razorpay webhook',
+      session,
+    });
+    return;
+  }
+
+  await completeWalletTopUp(razorpayOrderId, { paymentId, session });
+};
+
+// The customer was charged but the order can't be completed, e.g. stock ran
+// out after the hold expired. Refunded instead of failing the delivery,
+// which the gateway would otherwise retry forever.
+const handleUnfulfillableCapture = async ({ payment }, error, session) => {
+  const { id: paymentId, order_id: razorpayOrderId, amount } = payment.entity;
+
+  const order = await Order.findOne({ razorpayOrderId }).session(session);
+  if (!order || isPaymentSettled(order)) return;
+
+  console.error(
+    `Captured payment ${paymentId} for order ${order._id} could not be fulfilled:`,
+    error.message
+  );
+  await refundUnfulfillablePayment(order, {
+    paymentId,
+    amount: amount / 100,
+    reason: error.message,
+    session,
+  });
+  await order.save({ session });
+};
+
+const handlePaymentFailed = async ({ payment }, session) => {
+  const { id: paymentId, order_id: razorpayOrderId } = payment.entity;
+
+  const order = await Order.findOne({ razorpayOrderId }).session(session);
+  if (order) {
+    await markOrderPaymentFailed(order, {
+      reason: 'Razorpay webhook',
+      session,
+    });
+    return;
+  }
+
+  await failWalletTopUp(razorpayOrderId, { paymentId, session });
+};
+
+const handleRefundProcessed = async ({ refund, payment }, session) => {
+  const { id: refundId, payment_id: paymentId, amount } = refund.entity;
+
+  const order = await Order.findOne({ razorpayPaymentId: paymentId }).session(
+    session
+  );
+  if (!order) return;
+
+  const existingRefund = order.refunds.find(
+    (entry) => entry.refundId === refundId
+  );
+
+  if (existingRefund) {
+    existingRefund.status = 'processed';
+    existingRefund.processedAt = new Date();
+  } else {
+    order.refunds.push({
+      refundId,
+      amount: amount / 100,
+      status: 'processed',
+      processedAt: new Date(),
+    });
+  }
+
+  const { amount: paidAmount, amount_refunded: refundedAmount } =
+    payment?.entity || {};
+
+  order.paymentStatus =
+    refundedAmount >= paidAmount ? 'Refunded' : 'Partially Refunded';
+
+  await order.save({ session });
+};
+
+const webhookHandlers = {
+  'payment.captured': handlePaymentCaptured,
+  'payment.failed': handlePaymentFailed,
+  'refund.processed': handleRefundProcessed,
+};
+
+/**
+ * @route POST - webhooks/razorpay
+ * @desc  Razorpay - Payment and refund events
+ * @access Public (signed)
+ */
+export const razorpayWebhook = async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+
+  if (!paymentProvider.verifyWebhookSignature(req.rawBody, signature)) {
+    throw new BadRequestError('Invalid webhook signature');
+  }
+
+  const { event, payload } = req.body;
+
+  const handler = webhookHandlers[event];
+  if (!handler) {
+    return res.status(200).json({
+      success: true,
+      message: `Event ${event} ignored.`,
+      data: null,
+    });
+  }
+
+  // Razorpay retries deliveries with the same event id
+  const eventId =
+    req.headers['x-razorpay-event-id'] ||
+    crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  const processEvent = (handle) =>
+    runInTransaction(async (session) => {
+      const alreadyProcessed = await WebhookEvent.exists({ eventId }).session(
+        session
+      );
+      if (alreadyProcessed) return false;
+
+      await handle(session);
+      await WebhookEvent.create([{ eventId, event }], { session });
+
+      return true;
+    });
+
+  let processed;
+  try {
+    processed = await processEvent((session) => handler(payload, session));
+  } catch (error) {
+    // The failed attempt is rolled back, the refund runs in a fresh transaction
+    if (event !== 'payment.captured' || !(error instanceof CustomAPIError)) {
+      throw error;
+    }
+    processed = await processEvent((session) =>
+      handleUnfulfillableCapture(payload, error, session)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: processed
+      ? `Event ${event} processed.`
+      : `Event ${event} already processed.`,
+    data: null,
+  });
+};
@@ -19,7 +19,14 @@ app.use(cookieParser());
 // app.use(limiter);
 app.use(helmet());
 app.use(morgan('dev'));
-app.use(express.json());
+app.use(
+  express.json({
+    // Raw body is kept for webhook signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Named sequences, e.g. the invoice numbers of a financial year
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+export default mongoose.model('Counter', CounterSchema);
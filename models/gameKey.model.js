@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// One activation key of a digital product, sold exactly once
+const GameKeySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    // Only ever read for the buyer, never listed
+    code: {
+      type: String,
+      trim: true,
+      required: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['available', 'assigned', 'revoked'],
+      default: 'available',
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+    emailedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+GameKeySchema.index({ product: 1, code: 1 }, { unique: true });
+
+// Oldest available key goes first
+GameKeySchema.index({ product: 1, status: 1, createdAt: 1 });
+
+// For the job emailing newly assigned keys
+GameKeySchema.index({ status: 1, emailedAt: 1 });
+
+export default mongoose.model('GameKey', GameKeySchema);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const GiftCardSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'redeemed'],
+      default: 'active',
+    },
+    // Admin batches share a batch ID, purchased cards point at their order
+    source: {
+      type: String,
+      enum: ['admin', 'purchase'],
+      required: true,
+    },
+    batchId: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    purchasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    redeemedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    redeemedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+GiftCardSchema.index({ batchId: 1 });
+GiftCardSchema.index({ purchasedBy: 1, createdAt: -1 });
+
+export default mongoose.model('GiftCard', GiftCardSchema);
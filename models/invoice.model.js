@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+const TaxSchema = new mongoose.Schema(
+  {
+    rate: { type: Number, default: 0 },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const InvoiceLineSchema = new mongoose.Schema(
+  {
+    // Order item the line bills or credits, null for gift cards
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    tax: TaxSchema,
+  },
+  { _id: false }
+);
+
+// An issued invoice or credit note. Everything on it, the rendered PDF
+// included, is fixed when it is issued.
+const InvoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['invoice', 'credit-note'],
+      required: true,
+    },
+    // e.g. INV/2026-27/000042, gap-free within a type and financial year
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Invoice a credit note is raised against
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+    },
+    invoiceNumber: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    customer: {
+      name: String,
+      phoneNumber: String,
+    },
+    billingAddress: {
+      addressLine: String,
+      city: String,
+      state: String,
+      zip: String,
+      country: String,
+    },
+    lines: [InvoiceLineSchema],
+    couponDiscount: {
+      type: Number,
+      default: 0,
+    },
+    shippingCharge: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    tax: TaxSchema,
+    paymentMethod: {
+      type: String,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    pdf: {
+      type: Buffer,
+      required: true,
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+InvoiceSchema.index({ order: 1, issuedAt: 1 });
+InvoiceSchema.index({ user: 1, issuedAt: -1 });
+
+const rejectChange = function () {
+  throw new Error('Issued invoices and credit notes cannot be changed.');
+};
+
+InvoiceSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  rejectChange
+);
+InvoiceSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange();
+  next();
+});
+
+export default mongoose.model('Invoice', InvoiceSchema);
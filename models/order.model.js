@@ -27,6 +27,7 @@ const orderItemSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: [
+      'Pre-Ordered',
       'Pending',
       'Shipped',
       'Delivered',
@@ -37,6 +38,39 @@ const orderItemSchema = new mongoose.Schema({
     ],
     default: 'Pending',
   },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+  // Units given back through completed returns
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Pre-ordered items wait until this date before they are processed
+  releaseDate: {
+    type: Date,
+    default: null,
+  },
+  // Digital items are delivered as game keys instead of being shipped
+  isDigital: {
+    type: Boolean,
+    default: false,
+  },
+  keys: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GameKey',
+    },
+  ],
+  // GST included in the item's price, as it was when the order was placed
+  tax: {
+    rate: { type: Number, default: 0 },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+  },
   returnRequest: {
     requested: {
       type: Boolean,
@@ -45,6 +79,11 @@ const orderItemSchema = new mongoose.Schema({
     reason: {
       type: String,
     },
+    refundTo: {
+      type: String,
+      enum: ['original', 'wallet'],
+      default: 'original',
+    },
     approved: {
       type: Boolean,
       default: false,
@@ -64,6 +103,34 @@ const OrderSchema = new mongoose.Schema(
       required: true,
     },
     orderItems: [orderItemSchema],
+    // Gift cards bought in this order, their codes are issued once it is paid
+    giftCardItems: [
+      {
+        value: {
+          type: Number,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        totalPrice: {
+          type: Number,
+          required: true,
+        },
+        giftCards: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'GiftCard',
+          },
+        ],
+      },
+    ],
+    giftCardTotal: {
+      type: Number,
+      default: 0,
+    },
     totalAmount: {
       type: Number,
       required: true,
@@ -85,20 +152,204 @@ const OrderSchema = new mongoose.Schema(
       default: 0,
     },
     shippingAddress: AddressSchema,
+    shippingCharge: {
+      type: Number,
+      default: 0,
+    },
+    shippingZone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingZone',
+      default: null,
+    },
     paymentMethod: {
       type: String,
-      enum: ['Wallet', 'Cash on Delivery', 'Razorpay'],
+      enum: ['Wallet', 'Cash on Delivery', 'Razorpay', 'Split'],
       required: true,
     },
+    // Split payments record the wallet and Razorpay portions separately
+    paymentLegs: [
+      {
+        method: {
+          type: String,
+          enum: ['Wallet', 'Razorpay'],
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ['Pending', 'Held', 'Paid', 'Released'],
+          default: 'Pending',
+        },
+      },
+    ],
     paymentStatus: {
       type: String,
-      enum: ['Pending', 'Paid', 'Failed'],
+      enum: ['Pending', 'Paid', 'Failed', 'Partially Refunded', 'Refunded'],
       default: 'Pending',
     },
     razorpayOrderId: {
       type: String,
       default: null,
     },
+    razorpayPaymentId: {
+      type: String,
+      default: null,
+    },
+    // Set when a payment needed support, e.g. captured for an unfulfillable order
+    paymentIssue: {
+      type: String,
+      default: null,
+    },
+    refunds: [
+      {
+        refundId: {
+          type: String,
+          default: null,
+        },
+        method: {
+          type: String,
+          enum: ['Wallet', 'Razorpay'],
+          default: 'Razorpay',
+        },
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'processed', 'failed'],
+          default: 'pending',
+        },
+        processedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    reservation: {
+      status: {
+        type: String,
+        enum: ['None', 'Held', 'Committed', 'Released'],
+        default: 'None',
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Append-only record of order, item, payment and return status changes
+    statusHistory: [
+      {
+        scope: {
+          type: String,
+          enum: ['order', 'item', 'payment', 'return'],
+          default: 'order',
+          immutable: true,
+        },
+        status: {
+          type: String,
+          required: true,
+          immutable: true,
+        },
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+          immutable: true,
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null,
+          immutable: true,
+        },
+        actorRole: {
+          type: String,
+          enum: ['user', 'admin', 'system'],
+          default: 'system',
+          immutable: true,
+        },
+        reason: {
+          type: String,
+          default: null,
+          immutable: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+          immutable: true,
+        },
+      },
+    ],
+    // Customer changes made while the order was still being processed
+    modifications: [
+      {
+        changes: [
+          {
+            type: {
+              type: String,
+              enum: ['quantity', 'item-added', 'shipping-address'],
+              required: true,
+            },
+            item: {
+              type: mongoose.Schema.Types.ObjectId,
+              default: null,
+            },
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'Product',
+              default: null,
+            },
+            from: {
+              type: mongoose.Schema.Types.Mixed,
+              default: null,
+            },
+            to: {
+              type: mongoose.Schema.Types.Mixed,
+              default: null,
+            },
+          },
+        ],
+        previousPrice: {
+          type: Number,
+          required: true,
+        },
+        newPrice: {
+          type: Number,
+          required: true,
+        },
+        // Positive when the customer paid more, negative when refunded
+        difference: {
+          type: Number,
+          default: 0,
+        },
+        settlement: {
+          type: String,
+          enum: ['none', 'wallet-charge', 'wallet-refund'],
+          default: 'none',
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null,
+        },
+        actorRole: {
+          type: String,
+          enum: ['user', 'admin', 'system'],
+          default: 'user',
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     orderStatus: {
       type: String,
       enum: [
@@ -125,11 +376,49 @@ const OrderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+    },
+    invoiceNumber: {
+      type: String,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+OrderSchema.index({ razorpayOrderId: 1 });
+
+// For the sweep that releases expired stock holds
+OrderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
+
+// What the active items cost after their share of the coupon, plus
+// shipping and gift cards
+OrderSchema.methods.calculateFinalPrice = function () {
+  const currentTotalAmount = this.orderItems
+    .filter((item) => item.status !== 'Cancelled')
+    .reduce((sum, item) => sum + item.totalPrice, 0);
+
+  let currentCouponDiscount = 0;
+  if (this.couponDiscount > 0 && this.totalAmount > 0) {
+    currentCouponDiscount =
+      (currentTotalAmount / this.totalAmount) * this.couponDiscount;
+    currentCouponDiscount = Math.round(currentCouponDiscount * 100) / 100;
+  }
+
+  return (
+    Math.max(0, currentTotalAmount - currentCouponDiscount) +
+    this.shippingCharge +
+    this.giftCardTotal
+  );
+};
+
 OrderSchema.pre('save', function (next) {
+  // Gift card only orders have no items to derive a status or price from
+  if (!this.orderItems.length) return next();
+
   const statuses = this.orderItems.map((item) => item.status);
 
   const activeOrderItems = this.orderItems.filter(
@@ -137,23 +426,12 @@ OrderSchema.pre('save', function (next) {
   );
 
   if (this.isModified('orderItems') && activeOrderItems.length > 0) {
-    const currentTotalAmount = activeOrderItems.reduce(
-      (sum, item) => sum + item.totalPrice,
-      0
-    );
-
-    let currentCouponDiscount = 0;
-    if (this.couponDiscount > 0 && this.totalAmount > 0) {
-      currentCouponDiscount =
-        (currentTotalAmount / this.totalAmount) * this.couponDiscount;
-      currentCouponDiscount = Math.round(currentCouponDiscount * 100) / 100;
-    }
-
-    this.finalPrice = Math.max(0, currentTotalAmount - currentCouponDiscount);
+    this.finalPrice = this.calculateFinalPrice();
   }
 
+  // Gift cards bought alongside are still paid for
   if (this.orderItems.every((item) => item.status === 'Cancelled')) {
-    this.finalPrice = 0;
+    this.finalPrice = this.giftCardTotal;
   }
 
   if (statuses.every((status) => status === 'Cancelled')) {
@@ -50,6 +50,26 @@ export const ProductSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    releaseDate: {
+      type: Date,
+      default: null,
+    },
+    // Can be bought before its release date, it ships after release
+    preOrder: {
+      type: Boolean,
+      default: false,
+    },
+    // Sold as game keys, stock is the number of keys left in the pool
+    isDigital: {
+      type: Boolean,
+      default: false,
+    },
+    // Shipping weight in grams
+    weight: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     reviewCount: {
       type: Number,
       default: 0,
@@ -99,6 +119,13 @@ ProductSchema.index({ averageRating: -1, isActive: 1 }); // Sorting/filtering ac
 ProductSchema.index({ genre: 1, isActive: 1 }); // Filtering active products by genre
 ProductSchema.index({ brand: 1, isActive: 1 });
 
+// Units that can still be sold, stock held by pending checkouts excluded
+ProductSchema.virtual('availableStock').get(function () {
+  return Math.max(0, this.stock - (this.reservedStock || 0));
+});
+
+ProductSchema.set('toJSON', { virtuals: true });
+
 ProductSchema.pre('save', async function (next) {
   if (this.isNew) {
     const brandOffers = await Offer.find({
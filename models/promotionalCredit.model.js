@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Promotional part of a wallet's balance, spent first and lost on expiry
+const PromotionalCreditSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'spent', 'expired'],
+      default: 'active',
+    },
+    // The posting that granted the credit
+    referenceType: {
+      type: String,
+      required: true,
+    },
+    referenceId: {
+      type: String,
+      default: null,
+    },
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+  },
+  { timestamps: true }
+);
+
+PromotionalCreditSchema.index({ userId: 1, status: 1, expiresAt: 1 });
+PromotionalCreditSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model('PromotionalCredit', PromotionalCreditSchema);
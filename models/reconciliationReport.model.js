@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const ReconciliationReportSchema = new mongoose.Schema(
+  {
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['completed', 'failed'],
+      default: 'completed',
+    },
+    ordersChecked: {
+      type: Number,
+      default: 0,
+    },
+    fixedCount: {
+      type: Number,
+      default: 0,
+    },
+    flaggedCount: {
+      type: Number,
+      default: 0,
+    },
+    issues: [
+      {
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Order',
+          required: true,
+        },
+        razorpayOrderId: {
+          type: String,
+        },
+        paymentId: {
+          type: String,
+          default: null,
+        },
+        type: {
+          type: String,
+          enum: [
+            'captured-not-recorded',
+            'paid-without-capture',
+            'fetch-failed',
+          ],
+          required: true,
+        },
+        action: {
+          type: String,
+          enum: ['fixed', 'flagged'],
+          required: true,
+        },
+        detail: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model(
+  'ReconciliationReport',
+  ReconciliationReportSchema
+);
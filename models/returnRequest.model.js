@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+export const RETURN_STATUSES = [
+  'Requested',
+  'Approved',
+  'Pickup Scheduled',
+  'Received',
+  'Inspected',
+  'Refunded',
+  'Rejected',
+];
+
+// Return merchandise authorization for some or all units of one order item
+const ReturnRequestSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    reason: {
+      type: String,
+      default: 'No Reason',
+    },
+    refundTo: {
+      type: String,
+      enum: ['original', 'wallet'],
+      default: 'original',
+    },
+    photos: [
+      {
+        type: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: RETURN_STATUSES,
+      default: 'Requested',
+    },
+    // One entry per stage the return went through
+    history: [
+      {
+        status: {
+          type: String,
+          enum: RETURN_STATUSES,
+          required: true,
+        },
+        note: {
+          type: String,
+          default: null,
+        },
+        photos: [
+          {
+            type: String,
+          },
+        ],
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    pickupScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+ReturnRequestSchema.index({ order: 1, item: 1 });
+ReturnRequestSchema.index({ user: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('ReturnRequest', ReturnRequestSchema);
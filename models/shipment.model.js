@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// One package of an order, an order can ship in several
+const ShipmentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    // Order item IDs packed in this shipment
+    items: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    ],
+    carrier: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    trackingNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    trackingUrl: {
+      type: String,
+      default: null,
+    },
+    estimatedDelivery: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['Shipped', 'Delivered'],
+      default: 'Shipped',
+    },
+    shippedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+ShipmentSchema.index({ order: 1, createdAt: 1 });
+ShipmentSchema.index({ trackingNumber: 1 });
+
+export default mongoose.model('Shipment', ShipmentSchema);
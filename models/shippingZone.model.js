@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const RateRuleSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['flat', 'weight', 'free-above'],
+      required: true,
+    },
+    // Flat charge, or the base charge of a weight-based rule
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    perKg: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Subtotal from which a free-above rule waives shipping
+    threshold: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Where an address falls is matched on country, then state, then ZIP prefix.
+// An empty list matches anything.
+const ShippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      required: true,
+      unique: true,
+    },
+    countries: [{ type: String, trim: true, lowercase: true }],
+    states: [{ type: String, trim: true, lowercase: true }],
+    zipPrefixes: [{ type: String, trim: true, uppercase: true }],
+    rules: {
+      type: [RateRuleSchema],
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ShippingZoneSchema.index({ isActive: 1 });
+
+export default mongoose.model('ShippingZone', ShippingZoneSchema);
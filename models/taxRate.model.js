@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// GST rate of a genre or a single product, optionally only for some
+// destination states. Product rates win over genre rates.
+const TaxRateSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ['genre', 'product'],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Percentage, e.g. 18 for 18% GST
+    rate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true,
+    },
+    // Destination states the rate applies to, empty for every state
+    states: [{ type: String, trim: true, lowercase: true }],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+TaxRateSchema.index({ scope: 1, target: 1, isActive: 1 });
+
+export default mongoose.model('TaxRate', TaxRateSchema);
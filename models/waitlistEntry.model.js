@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// A customer waiting for an out of stock product, served first come first served
+const WaitlistEntrySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'notified', 'held', 'fulfilled', 'expired', 'left'],
+      default: 'waiting',
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Units set aside for the customer until the hold expires
+    heldQuantity: {
+      type: Number,
+      default: 0,
+    },
+    holdExpiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Queue order within a product
+WaitlistEntrySchema.index({ product: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ user: 1, status: 1 });
+
+// For the sweep releasing expired holds
+WaitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+
+export default mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -8,45 +8,42 @@ const walletSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Cached total of the wallet's ledger entries, see utils/wallet.js
     balance: {
       type: Number,
       default: 0,
       min: 0,
     },
-    transactions: [
-      {
-        type: {
-          type: String,
-          enum: ['credit', 'debit'],
-          required: true,
-        },
-        amount: {
-          type: Number,
-          required: true,
-        },
-        description: {
-          type: String,
-          default: null,
-        },
-        razorpayPaymentId: {
-          type: String,
-          default: null,
-        },
-        razorpayOrderId: {
-          type: String,
-          default: null,
-        },
-        status: {
-          type: String,
-          enum: ['pending', 'completed', 'failed', 'refunded'],
-          default: 'pending',
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
+    // Part of the balance that is promotional credit, see PromotionalCredit
+    promotionalBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Part of the balance set aside for split payments awaiting Razorpay
+    heldBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Frozen wallets can't be topped up or used to pay
+    isFrozen: {
+      type: Boolean,
+      default: false,
+    },
+    frozenReason: {
+      type: String,
+      default: null,
+    },
+    frozenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    frozenAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
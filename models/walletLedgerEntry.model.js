@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+// Every wallet movement is posted twice: once against the customer's wallet
+// and once against the account the money came from or went to.
+const WalletLedgerEntrySchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: [
+        'wallet',
+        'sales',
+        'payment-gateway',
+        'referral-rewards',
+        'adjustments',
+        'gift-cards',
+      ],
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    entryType: {
+      type: String,
+      enum: ['credit', 'debit'],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    referenceType: {
+      type: String,
+      enum: [
+        'order',
+        'refund',
+        'referral',
+        'top-up',
+        'adjustment',
+        'gift-card',
+        'expiry',
+      ],
+      required: true,
+    },
+    referenceId: {
+      type: String,
+      default: null,
+    },
+    // Which part of the wallet balance a wallet entry moved
+    bucket: {
+      type: String,
+      enum: ['cash', 'promotional'],
+      default: 'cash',
+    },
+    // Shared by both sides of a posting, a repeated key is never posted twice
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    // Admin who posted a manual adjustment
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+WalletLedgerEntrySchema.index(
+  { idempotencyKey: 1, account: 1, bucket: 1 },
+  { unique: true }
+);
+WalletLedgerEntrySchema.index({ userId: 1, account: 1, createdAt: -1 });
+
+// Append-only, corrections are new postings
+const rejectChange = function () {
+  throw new Error('Wallet ledger entries cannot be modified or deleted.');
+};
+
+WalletLedgerEntrySchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  rejectChange
+);
+WalletLedgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange();
+  next();
+});
+
+export default mongoose.model('WalletLedgerEntry', WalletLedgerEntrySchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Money being added through Razorpay, only posted to the ledger once captured
+const WalletTopUpSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    razorpayOrderId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    razorpayPaymentId: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending',
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('WalletTopUp', WalletTopUpSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Gateway events that were already applied, so redeliveries are ignored
+const WebhookEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      default: 'razorpay',
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    processedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -32,7 +32,9 @@ import {
 } from '../controllers/admin.controller.js';
 import {
   getAllOrders,
+  getOneOrderAdmin,
   updateOrderStatus,
+  bulkUpdateOrderStatus,
   requestReturnAdmin,
 } from '../controllers/order.controller.js';
 import {
@@ -49,8 +51,60 @@ import {
   getAllCoupons,
   toggleCouponList,
 } from '../controllers/coupon.controller.js';
+import {
+  getReconciliationReport,
+  getReconciliationReports,
+  runReconciliation,
+} from '../controllers/reconciliation.controller.js';
+import {
+  adjustUserWallet,
+  getUserWalletAdmin,
+  getWalletDriftReport,
+  setWalletFreeze,
+} from '../controllers/wallet.controller.js';
+import {
+  addGiftCardBatch,
+  getAllGiftCards,
+  getOneGiftCard,
+} from '../controllers/giftCard.controller.js';
+import {
+  getAllReturns,
+  getOneReturn,
+  updateReturnStatus,
+} from '../controllers/return.controller.js';
+import {
+  createShipment,
+  getOrderShipments,
+  markShipmentDelivered,
+} from '../controllers/shipment.controller.js';
+import {
+  addShippingZone,
+  editShippingZone,
+  getAllShippingZones,
+  getOneShippingZone,
+  toggleShippingZone,
+} from '../controllers/shippingZone.controller.js';
+import {
+  addTaxRate,
+  editTaxRate,
+  getAllTaxRates,
+  toggleTaxRate,
+} from '../controllers/taxRate.controller.js';
+import {
+  downloadInvoice,
+  getOrderInvoices,
+} from '../controllers/invoice.controller.js';
+import {
+  getGameKeyPool,
+  uploadGameKeys,
+} from '../controllers/gameKey.controller.js';
+import { getWaitlistSizes } from '../controllers/waitlist.controller.js';
+import {
+  exportPackingSlips,
+  exportPickList,
+} from '../controllers/orderExport.controller.js';
 import { verifyAuth } from '../middlewares/verifyAuth.middleware.js';
-import upload from '../config/multer.js';
+import upload, { csvUpload } from '../config/multer.js';
 import {
   generateSalesPDF,
   generateSalesExcel,
@@ -74,6 +128,11 @@ router // Products
   .put(editProduct)
   .patch(toggleProductList);
 router.get('/products/:productId', getOneProduct);
+router.get('/waitlists', getWaitlistSizes);
+router
+  .route('/products/:productId/keys')
+  .get(getGameKeyPool)
+  .post(csvUpload.single('file'), uploadGameKeys);
 
 router
   .post('/images/upload', upload.single('image'), uploadImageCloudinary)
@@ -100,14 +159,35 @@ router // User CRUD
   .get(getAllUsers)
   .patch(toggleBlockUser);
 router.get('/users/:userId', getOneUser);
+router
+  .route('/users/:userId/wallet')
+  .get(getUserWalletAdmin)
+  .post(adjustUserWallet)
+  .patch(setWalletFreeze);
 
 router // Order CRUD
   .route('/order')
   .get(getAllOrders);
+router.post('/order/bulk-status', bulkUpdateOrderStatus);
+router.get('/order/export/pick-list', exportPickList);
+router.get('/order/export/packing-slips', exportPackingSlips);
 router
   .route('/order/:orderId')
+  .get(getOneOrderAdmin)
   .put(requestReturnAdmin)
   .patch(updateOrderStatus);
+router
+  .route('/order/:orderId/shipments')
+  .get(getOrderShipments)
+  .post(createShipment);
+router.patch('/shipments/:shipmentId', markShipmentDelivered);
+router.get('/order/:orderId/invoices', getOrderInvoices);
+router.get('/invoices/:invoiceId', downloadInvoice);
+
+router // Returns
+  .get('/returns', getAllReturns)
+  .get('/returns/:returnId', getOneReturn)
+  .patch('/returns/:returnId', updateReturnStatus);
 
 router // Offer CRUD
   .route('/offers')
@@ -129,10 +209,41 @@ router
   .put(editCoupon)
   .patch(toggleCouponList);
 
+router // Shipping zone CRUD
+  .route('/shipping-zones')
+  .get(getAllShippingZones)
+  .post(addShippingZone);
+router
+  .route('/shipping-zones/:zoneId')
+  .get(getOneShippingZone)
+  .put(editShippingZone)
+  .patch(toggleShippingZone);
+
+router // GST rates
+  .route('/tax-rates')
+  .get(getAllTaxRates)
+  .post(addTaxRate);
+router.route('/tax-rates/:taxRateId').put(editTaxRate).patch(toggleTaxRate);
+
+router // Gift cards
+  .route('/gift-cards')
+  .get(getAllGiftCards)
+  .post(addGiftCardBatch);
+router.get('/gift-cards/:giftCardId', getOneGiftCard);
+
 router // Sales Reports
   .get('/sales', getSalesReport)
   .get('/sales/data', getSalesData)
   .get('/sales/excel', generateSalesExcel)
   .get('/sales/pdf', generateSalesPDF);
 
+router // Payment reconciliation
+  .route('/reconciliation')
+  .get(getReconciliationReports)
+  .post(runReconciliation);
+router.get('/reconciliation/:reportId', getReconciliationReport);
+
+router // Wallet ledger
+  .get('/wallets/drift', getWalletDriftReport);
+
 export default router;
@@ -2,11 +2,13 @@ import express from 'express';
 import authRouter from './auth.routes.js';
 import userRouter from './user.routes.js';
 import adminRouter from './admin.routes.js';
+import webhookRouter from './webhook.routes.js';
 
 const router = express.Router();
 
 router.use('/auth', authRouter);
 router.use('/admin', adminRouter);
 router.use('/user', userRouter);
+router.use('/webhooks', webhookRouter);
 
 export default router;
@@ -40,12 +40,17 @@ import {
   retryPayment,
   markPaymentAsFailed,
   generateInvoicePDF,
+  modifyOrder,
+  reorder,
+  getBuyAgain,
 } from '../controllers/order.controller.js';
 import { getBrandsUser } from '../controllers/brand.controller.js';
 import { getGenresUser } from '../controllers/genre.controller.js';
 import {
   addMoneyWallet,
   getOneWallet,
+  getWalletStatement,
+  getWalletTransactions,
   verifyAddMoneyWallet,
 } from '../controllers/wallet.controller.js';
 import { getEligibleCoupons } from '../controllers/coupon.controller.js';
@@ -57,6 +62,25 @@ import {
 } from '../controllers/wishlist.controller.js';
 import { getRecommendations } from '../controllers/recommend.controller.js';
 import { applyReferralCode } from '../controllers/referral.controller.js';
+import {
+  getUserReturn,
+  getUserReturns,
+  uploadReturnPhoto,
+} from '../controllers/return.controller.js';
+import { returnPhotoUpload } from '../config/multer.js';
+import {
+  getPurchasedGiftCards,
+  redeemGiftCard,
+} from '../controllers/giftCard.controller.js';
+import {
+  getUserWaitlist,
+  joinWaitlist,
+  leaveWaitlist,
+} from '../controllers/waitlist.controller.js';
+import {
+  downloadUserInvoice,
+  getUserOrderInvoices,
+} from '../controllers/invoice.controller.js';
 
 const router = express.Router();
 
@@ -100,7 +124,12 @@ router // Order functionality
   .route('/order')
   .post(placeOrder)
   .get(getUserOrders);
+router.get('/order/buy-again', getBuyAgain);
+router.post('/order/:orderId/reorder', reorder);
 router.post('/order/:orderId/invoice', generateInvoicePDF);
+router.patch('/order/:orderId/modify', modifyOrder);
+router.get('/order/:orderId/invoices', getUserOrderInvoices);
+router.get('/invoices/:invoiceId', downloadUserInvoice);
 router
   .route('/order/razorpay/:orderId')
   .post(verifyRazorpay)
@@ -113,14 +142,36 @@ router
   .patch(requestReturnOrder)
   .put(cancelOrder);
 
+router // Waitlist
+  .route('/waitlist')
+  .get(getUserWaitlist)
+  .post(joinWaitlist);
+router.delete('/waitlist/:productId', leaveWaitlist);
+
+router // Returns
+  .get('/returns', getUserReturns)
+  .get('/returns/:returnId', getUserReturn)
+  .post(
+    '/returns/photos',
+    returnPhotoUpload.single('image'),
+    uploadReturnPhoto
+  );
+
 router // Wallet functionality
   .route('/wallet')
   .get(getOneWallet)
   .post(addMoneyWallet)
   .patch(verifyAddMoneyWallet);
+router
+  .get('/wallet/transactions', getWalletTransactions)
+  .get('/wallet/statement', getWalletStatement);
 
 router.get('/coupons/eligible', getEligibleCoupons);
 
+router // Gift cards
+  .get('/gift-cards', getPurchasedGiftCards)
+  .post('/gift-cards/redeem', redeemGiftCard);
+
 router // Wishlist functionality
   .route('/wishlist')
   .get(getWishlist)
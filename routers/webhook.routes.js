@@ -0,0 +1,8 @@
+import express from 'express';
+import { razorpayWebhook } from '../controllers/webhook.controller.js';
+
+const router = express.Router();
+
+router.post('/razorpay', razorpayWebhook); // Verified with X-Razorpay-Signature
+
+export default router;
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Wallet from '../models/wallet.model.js';
+import WalletLedgerEntry from '../models/walletLedgerEntry.model.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+mongoose.connect(MONGO_URI);
+
+const roundPaise = (amount) => Math.round(amount * 100) / 100;
+
+// Embedded transactions only ever recorded orders, refunds and top-ups
+const getReferenceType = (transaction) => {
+  if (transaction.type === 'debit') return 'order';
+  return transaction.razorpayPaymentId ? 'top-up' : 'refund';
+};
+
+const CONTRA_ACCOUNTS = {
+  order: 'sales',
+  refund: 'sales',
+  'top-up': 'payment-gateway',
+  adjustment: 'adjustments',
+};
+
+const postEntry = async (wallet, entryType, amount, posting) => {
+  const idempotencyKey = `migration:${wallet._id}:${posting.key}`;
+  if (await WalletLedgerEntry.exists({ idempotencyKey, account: 'wallet' })) {
+    return false;
+  }
+
+  const entry = {
+    userId: wallet.userId,
+    amount,
+    referenceType: posting.referenceType,
+    referenceId: posting.referenceId || wallet._id.toString(),
+    idempotencyKey,
+    description: posting.description,
+    ...(posting.createdAt && { createdAt: posting.createdAt }),
+  };
+
+  await WalletLedgerEntry.insertMany([
+    { ...entry, account: 'wallet', entryType },
+    {
+      ...entry,
+      account: CONTRA_ACCOUNTS[posting.referenceType],
+      entryType: entryType === 'credit' ? 'debit' : 'credit',
+    },
+  ]);
+  return true;
+};
+
+const getLedgerBalance = async (userId) => {
+  const [total] = await WalletLedgerEntry.aggregate([
+    { $match: { userId, account: 'wallet' } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$entryType', 'credit'] },
+              '$amount',
+              { $multiply: ['$amount', -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return roundPaise(total?.balance || 0);
+};
+
+// Copies every completed embedded transaction into the ledger as its own
+// entry, keeping its date, type and description. Balance changes the old
+// history never recorded, like referral rewards, are posted as one
+// adjustment. A wallet's embedded history is only removed once its ledger
+// adds up to its balance. Safe to rerun.
+const migrateWalletLedger = async () => {
+  try {
+    console.log('Migrating wallet transactions to the ledger...');
+
+    const wallets = await Wallet.find().lean();
+    let migrated = 0;
+    const unverified = [];
+
+    for (const wallet of wallets) {
+      const transactions = (wallet.transactions || []).filter(
+        (transaction) =>
+          transaction.status === 'completed' && transaction.amount > 0
+      );
+
+      for (const transaction of transactions) {
+        const referenceType = getReferenceType(transaction);
+        const posted = await postEntry(
+          wallet,
+          transaction.type,
+          transaction.amount,
+          {
+            key: transaction._id,
+            referenceType,
+            referenceId: transaction.razorpayPaymentId,
+            description: transaction.description,
+            createdAt: transaction.createdAt,
+          }
+        );
+        if (posted) migrated++;
+      }
+
+      const unrecorded = roundPaise(
+        wallet.balance - (await getLedgerBalance(wallet.userId))
+      );
+      if (unrecorded) {
+        await postEntry(
+          wallet,
+          unrecorded > 0 ? 'credit' : 'debit',
+          Math.abs(unrecorded),
+          {
+            key: 'unrecorded',
+            referenceType: 'adjustment',
+            description: 'Balance not in wallet history',
+          }
+        );
+      }
+
+      if (
+        (await getLedgerBalance(wallet.userId)) !== roundPaise(wallet.balance)
+      ) {
+        unverified.push(wallet._id);
+        continue;
+      }
+      if (wallet.transactions) {
+        await Wallet.collection.updateOne(
+          { _id: wallet._id },
+          { $unset: { transactions: '' } }
+        );
+      }
+    }
+
+    console.log(`Migrated ${migrated} wallet transactions.`);
+    if (unverified.length) {
+      console.log(
+        `Kept the history of ${unverified.length} wallets whose ledger does not match their balance:`,
+        unverified.map((id) => id.toString())
+      );
+    }
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating wallets:', error);
+    mongoose.connection.close();
+  }
+};
+
+migrateWalletLedger();
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getOrderCancelBlocker,
+  isCancellableItem,
+} from '../utils/cancellation.js';
+
+const orderWith = (...items) => ({ orderItems: items });
+
+describe('getOrderCancelBlocker', () => {
+  it('allows cancelling an order that has not shipped', () => {
+    const order = orderWith({ status: 'Pending' }, { status: 'Pre-Ordered' });
+    assert.equal(getOrderCancelBlocker(order), null);
+  });
+
+  it('rejects a partially delivered order', () => {
+    const order = orderWith(
+      { status: 'Delivered' },
+      { status: 'Shipped' },
+      { status: 'Pending' }
+    );
+    assert.match(getOrderCancelBlocker(order), /already shipped/);
+  });
+
+  it('rejects a partially shipped order', () => {
+    const order = orderWith({ status: 'Shipped' }, { status: 'Pending' });
+    assert.match(getOrderCancelBlocker(order), /already shipped/);
+  });
+
+  it('rejects an order that is already cancelled', () => {
+    const order = orderWith({ status: 'Cancelled' });
+    assert.match(getOrderCancelBlocker(order), /already cancelled/);
+  });
+
+  it('ignores cancelled items', () => {
+    const order = orderWith({ status: 'Cancelled' }, { status: 'Pending' });
+    assert.equal(getOrderCancelBlocker(order), null);
+  });
+
+  it('rejects an order with a delivered game key', () => {
+    const order = orderWith(
+      { status: 'Delivered', isDigital: true },
+      { status: 'Pending' }
+    );
+    assert.match(getOrderCancelBlocker(order), /been delivered/);
+  });
+});
+
+describe('isCancellableItem', () => {
+  it('only accepts items that have not left the warehouse', () => {
+    const statuses = ['Shipped', 'Delivered', 'Returned', 'Return Rejected'];
+    statuses.forEach((status) =>
+      assert.equal(isCancellableItem({ status }), false)
+    );
+    assert.equal(
+      isCancellableItem({ status: 'Delivered', isDigital: true }),
+      false
+    );
+    assert.equal(isCancellableItem({ status: 'Pending' }), true);
+  });
+});
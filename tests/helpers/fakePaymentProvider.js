@@ -0,0 +1,9 @@
+// Imported ahead of the app modules, so utils/payment/index.js picks the
+// fake gateway when it loads
+process.env.PAYMENT_PROVIDER = 'fake';
+
+export {
+  captureFakePayment,
+  fakeProvider,
+  resetFakeProvider,
+} from '../../utils/payment/fake.provider.js';
@@ -0,0 +1,183 @@
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+
+// In-memory stand-ins for the Mongoose calls the money paths make, enough
+// to run them without a database. Only the query operators those paths use
+// are understood, anything else throws so a test can't pass by accident.
+
+const valueAt = (doc, path) =>
+  path.split('.').reduce((value, key) => value?.[key], doc);
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  Object.keys(value).some((key) => key.startsWith('$'));
+
+const same = (a, b) =>
+  a == null || b == null ? a == b : String(a) === String(b);
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return valueAt(doc, expression.slice(1));
+  }
+  if (!isOperatorObject(expression)) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const values = args.map((arg) => evaluate(doc, arg));
+  switch (operator) {
+    case '$gte':
+      return values[0] >= values[1];
+    case '$subtract':
+      return values[0] - values[1];
+    case '$ifNull':
+      return values[0] ?? values[1];
+    default:
+      throw new Error(`Unsupported expression operator ${operator}`);
+  }
+};
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) return same(value, condition);
+
+  return Object.entries(condition).every(([operator, arg]) => {
+    switch (operator) {
+      case '$in':
+        return arg.some((candidate) => same(value, candidate));
+      case '$ne':
+        return !same(value, arg);
+      case '$gte':
+        return value >= arg;
+      case '$lte':
+        return value <= arg;
+      default:
+        throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+};
+
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$expr') return evaluate(doc, condition);
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+    return matchesCondition(valueAt(doc, key), condition);
+  });
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([field, value]) => {
+      if (operator === '$inc') doc[field] = (doc[field] || 0) + value;
+      else if (operator === '$set') doc[field] = value;
+      else if (operator !== '$setOnInsert') {
+        throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+};
+
+// Documents handed out can be saved, like Mongoose documents
+const asDocument = (doc) => {
+  if (doc && !doc.save) {
+    Object.defineProperty(doc, 'save', { value: mock.fn(async () => doc) });
+  }
+  return doc;
+};
+
+// Chainable like a Mongoose query, runs when awaited
+const query = (run) => {
+  let sortBy = null;
+  const chain = {
+    session: () => chain,
+    select: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    sort: (sort) => {
+      sortBy = sort;
+      return chain;
+    },
+    then: (resolve, reject) => {
+      try {
+        let result = run();
+        if (Array.isArray(result) && sortBy) {
+          const [[field, direction]] = Object.entries(sortBy);
+          result = [...result].sort(
+            (a, b) => (a[field] > b[field] ? 1 : -1) * direction
+          );
+        }
+        resolve(result);
+      } catch (error) {
+        reject(error);
+      }
+    },
+  };
+  return chain;
+};
+
+/**
+ * Backs the model's static query methods with `docs`, which the calls
+ * read and change in place. Returns the array.
+ */
+export const useMemoryModel = (Model, docs = []) => {
+  const find = (filter) => docs.filter((doc) => matches(doc, filter));
+  const insert = (entries) => {
+    const created = entries.map((entry) =>
+      asDocument({ _id: new mongoose.Types.ObjectId(), ...entry })
+    );
+    docs.push(...created);
+    return created;
+  };
+
+  mock.method(Model, 'find', (filter) =>
+    query(() => find(filter).map(asDocument))
+  );
+  mock.method(Model, 'findOne', (filter) =>
+    query(() => asDocument(find(filter)[0] || null))
+  );
+  mock.method(Model, 'findById', (id) =>
+    query(() => asDocument(find({ _id: id })[0] || null))
+  );
+  mock.method(Model, 'exists', (filter) =>
+    query(() => (find(filter)[0] ? { _id: find(filter)[0]._id } : null))
+  );
+  mock.method(Model, 'updateOne', (filter, update) =>
+    query(() => {
+      const [doc] = find(filter);
+      if (doc) applyUpdate(doc, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    })
+  );
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) =>
+    query(() => {
+      let [doc] = find(filter);
+      if (!doc) {
+        if (!options.upsert) return null;
+        const equalities = Object.fromEntries(
+          Object.entries(filter).filter(([, value]) => !isOperatorObject(value))
+        );
+        [doc] = insert([{ ...equalities, ...update.$setOnInsert }]);
+      }
+      const before = { ...doc };
+      applyUpdate(doc, update);
+      return asDocument(options.new ? doc : before);
+    })
+  );
+  mock.method(Model, 'insertMany', async (entries) => insert(entries));
+  mock.method(Model, 'create', async (entries) =>
+    Array.isArray(entries) ? insert(entries) : insert([entries])[0]
+  );
+
+  return docs;
+};
+
+/**
+ * Hands runInTransaction a session that needs no replica set.
+ */
+export const useMemorySession = () => {
+  let active = false;
+  mock.method(mongoose, 'startSession', async () => ({
+    startTransaction: () => (active = true),
+    commitTransaction: async () => (active = false),
+    abortTransaction: async () => (active = false),
+    inTransaction: () => active,
+    endSession: async () => {},
+  }));
+};
@@ -0,0 +1,81 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/order.model.js';
+import { findOrdersForExport, getPackableItems } from '../utils/orderExport.js';
+
+// Stands in for Order.find, resolving the query chain to `orders`
+const mockFind = (orders) => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    populate: () => query,
+    lean: async () => orders,
+  };
+  return mock.method(Order, 'find', () => query);
+};
+
+describe('getPackableItems', () => {
+  it('keeps only physical items that are still pending', () => {
+    const order = {
+      orderItems: [
+        { _id: 'pending', status: 'Pending' },
+        { _id: 'pre-ordered', status: 'Pre-Ordered' },
+        { _id: 'shipped', status: 'Shipped' },
+        { _id: 'delivered', status: 'Delivered' },
+        { _id: 'cancelled', status: 'Cancelled' },
+        { _id: 'returned', status: 'Returned' },
+        { _id: 'digital', status: 'Pending', isDigital: true },
+      ],
+    };
+
+    assert.deepEqual(
+      getPackableItems(order).map((item) => item._id),
+      ['pending']
+    );
+  });
+
+  it('returns nothing when no item is left to pack', () => {
+    const order = {
+      orderItems: [{ status: 'Shipped' }, { status: 'Delivered' }],
+    };
+
+    assert.deepEqual(getPackableItems(order), []);
+  });
+});
+
+describe('findOrdersForExport', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('leaves out unpaid online orders', async () => {
+    const find = mockFind([]);
+
+    await findOrdersForExport({ orderStatus: 'Processing' });
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.orderStatus, 'Processing');
+    assert.deepEqual(filter.$nor, [
+      {
+        paymentMethod: { $ne: 'Cash on Delivery' },
+        paymentStatus: { $in: ['Pending', 'Failed'] },
+      },
+    ]);
+  });
+
+  it('skips orders with nothing left to pack', async () => {
+    mockFind([
+      { _id: 'packable', orderItems: [{ status: 'Pending' }] },
+      { _id: 'shipped', orderItems: [{ status: 'Shipped' }] },
+      {
+        _id: 'digital',
+        orderItems: [{ status: 'Pending', isDigital: true }],
+      },
+    ]);
+
+    const orders = await findOrdersForExport({});
+
+    assert.deepEqual(
+      orders.map((order) => order._id),
+      ['packable']
+    );
+  });
+});
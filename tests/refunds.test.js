@@ -0,0 +1,126 @@
+import {
+  captureFakePayment,
+  fakeProvider,
+  resetFakeProvider,
+} from './helpers/fakePaymentProvider.js';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Types } from 'mongoose';
+import Wallet from '../models/wallet.model.js';
+import WalletLedgerEntry from '../models/walletLedgerEntry.model.js';
+import PromotionalCredit from '../models/promotionalCredit.model.js';
+import { issueRefund } from '../utils/refundPolicy.js';
+import { useMemoryModel } from './helpers/memoryModels.js';
+
+// A paid order whose online part was captured by the fake gateway
+const paidOrder = async ({ online, wallet = 0, paymentMethod }) => {
+  const { id } = await fakeProvider.createOrder(online);
+  const { payment } = captureFakePayment(id);
+
+  return {
+    _id: new Types.ObjectId(),
+    user: new Types.ObjectId(),
+    paymentMethod: paymentMethod || (wallet ? 'Split' : 'Razorpay'),
+    paymentStatus: 'Paid',
+    razorpayPaymentId: payment.id,
+    paymentLegs: [
+      { method: 'Razorpay', amount: online, status: 'Paid' },
+      ...(wallet ? [{ method: 'Wallet', amount: wallet, status: 'Paid' }] : []),
+    ],
+    refunds: [],
+    refundedAmount: 0,
+  };
+};
+
+const refundedByGateway = async (order) =>
+  (await fakeProvider.fetchPayment(order.razorpayPaymentId)).amount_refunded /
+  100;
+
+describe('issueRefund', () => {
+  let wallets;
+  let ledger;
+
+  beforeEach(() => {
+    resetFakeProvider();
+    wallets = useMemoryModel(Wallet);
+    ledger = useMemoryModel(WalletLedgerEntry);
+    useMemoryModel(PromotionalCredit);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('refunds the gateway once for a repeated key', async () => {
+    const order = await paidOrder({ online: 1000 });
+    const retry = structuredClone(order);
+
+    const first = await issueRefund(order, {
+      amount: 400,
+      idempotencyKey: 'refund:order:item',
+    });
+    // The same refund again, as after an aborted transaction
+    const second = await issueRefund(retry, {
+      amount: 400,
+      idempotencyKey: 'refund:order:item',
+    });
+
+    assert.equal(first.refundId, second.refundId);
+    assert.equal(await refundedByGateway(order), 400);
+  });
+
+  it('sends the wallet share of a split payment back to the wallet', async () => {
+    const order = await paidOrder({ online: 600, wallet: 400 });
+
+    await issueRefund(order, { amount: 500 });
+
+    assert.deepEqual(
+      order.refunds.map(({ method, amount }) => ({ method, amount })),
+      [
+        { method: 'Razorpay', amount: 300 },
+        { method: 'Wallet', amount: 200 },
+      ]
+    );
+    assert.equal(await refundedByGateway(order), 300);
+    assert.equal(wallets[0].balance, 200);
+    assert.deepEqual(
+      ledger.map(({ account, entryType, amount }) => ({
+        account,
+        entryType,
+        amount,
+      })),
+      [
+        { account: 'wallet', entryType: 'credit', amount: 200 },
+        { account: 'sales', entryType: 'debit', amount: 200 },
+      ]
+    );
+  });
+
+  it('returns wallet charges from order changes to the wallet', async () => {
+    // ₹500 paid online, then raised to ₹1500 through the wallet
+    const order = await paidOrder({ online: 500, wallet: 1000 });
+    order.paymentMethod = 'Razorpay';
+
+    await issueRefund(order, { amount: 1500 });
+
+    assert.equal(await refundedByGateway(order), 500);
+    assert.equal(wallets[0].balance, 1000);
+    assert.equal(order.refundedAmount, 1500);
+  });
+
+  it('caps gateway refunds at what is left of the capture', async () => {
+    const order = await paidOrder({ online: 500 });
+    await issueRefund(order, { amount: 300, idempotencyKey: 'first' });
+
+    await issueRefund(order, { amount: 400, idempotencyKey: 'second' });
+
+    assert.equal(await refundedByGateway(order), 500);
+    assert.equal(wallets[0].balance, 200);
+  });
+
+  it('refunds to the wallet when the customer asks for it', async () => {
+    const order = await paidOrder({ online: 500 });
+
+    await issueRefund(order, { amount: 500, refundTo: 'wallet' });
+
+    assert.equal(await refundedByGateway(order), 0);
+    assert.equal(wallets[0].balance, 500);
+  });
+});
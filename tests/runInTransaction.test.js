@@ -0,0 +1,77 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { runInTransaction } from '../utils/runInTransaction.js';
+
+const labelled = (label) =>
+  Object.assign(new Error(label), { errorLabels: [label] });
+
+// A session that only tracks its transaction state
+const mockSession = ({ commitErrors = [] } = {}) => {
+  let active = false;
+  const session = {
+    startTransaction: mock.fn(() => (active = true)),
+    commitTransaction: mock.fn(async () => {
+      active = false;
+      const error = commitErrors.shift();
+      if (error) throw error;
+    }),
+    abortTransaction: mock.fn(async () => (active = false)),
+    inTransaction: () => active,
+    endSession: mock.fn(async () => {}),
+  };
+  mock.method(mongoose, 'startSession', async () => session);
+  return session;
+};
+
+describe('runInTransaction', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('runs the callback again after a write conflict', async () => {
+    const session = mockSession();
+    let calls = 0;
+
+    const result = await runInTransaction(async () => {
+      calls++;
+      if (calls === 1) throw labelled('TransientTransactionError');
+      return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.equal(calls, 2);
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+    assert.equal(session.endSession.mock.callCount(), 1);
+  });
+
+  it('retries only the commit when its result is unknown', async () => {
+    const session = mockSession({
+      commitErrors: [labelled('UnknownTransactionCommitResult')],
+    });
+    const callback = mock.fn(async () => 'done');
+
+    assert.equal(await runInTransaction(callback), 'done');
+    assert.equal(callback.mock.callCount(), 1);
+    assert.equal(session.commitTransaction.mock.callCount(), 2);
+  });
+
+  it('gives up after the last attempt', async () => {
+    mockSession();
+    const callback = mock.fn(async () => {
+      throw labelled('TransientTransactionError');
+    });
+
+    await assert.rejects(runInTransaction(callback), /Transient/);
+    assert.equal(callback.mock.callCount(), 3);
+  });
+
+  it('does not retry other errors', async () => {
+    const session = mockSession();
+    const callback = mock.fn(async () => {
+      throw new Error('Insufficient stock');
+    });
+
+    await assert.rejects(runInTransaction(callback), /Insufficient stock/);
+    assert.equal(callback.mock.callCount(), 1);
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,125 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Types } from 'mongoose';
+import Wallet from '../models/wallet.model.js';
+import WalletLedgerEntry from '../models/walletLedgerEntry.model.js';
+import PromotionalCredit from '../models/promotionalCredit.model.js';
+import {
+  captureWalletHold,
+  expirePromotionalCredits,
+  holdWalletBalance,
+} from '../utils/wallet.js';
+import { getPaymentPosting, releaseWalletLegs } from '../utils/orderPayment.js';
+import { useMemoryModel } from './helpers/memoryModels.js';
+
+describe('split payment wallet holds', () => {
+  const userId = new Types.ObjectId();
+  const orderId = new Types.ObjectId();
+  let wallet;
+  let ledger;
+  let credits;
+
+  beforeEach(() => {
+    wallet = {
+      userId,
+      balance: 1000,
+      heldBalance: 0,
+      promotionalBalance: 0,
+    };
+    useMemoryModel(Wallet, [wallet]);
+    ledger = useMemoryModel(WalletLedgerEntry);
+    credits = useMemoryModel(PromotionalCredit);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('holds only what is available', async () => {
+    assert.equal(await holdWalletBalance(userId, 400), true);
+    assert.equal(await holdWalletBalance(userId, 700), false);
+    assert.equal(wallet.heldBalance, 400);
+  });
+
+  it('captures the hold once the online part is paid', async () => {
+    await holdWalletBalance(userId, 400);
+
+    await captureWalletHold(userId, 400, getPaymentPosting(orderId));
+    // A redelivered webhook captures again with the same posting
+    await captureWalletHold(userId, 400, getPaymentPosting(orderId));
+
+    assert.equal(wallet.balance, 600);
+    assert.equal(wallet.heldBalance, 0);
+    assert.deepEqual(
+      ledger.map(({ account, entryType, amount }) => ({
+        account,
+        entryType,
+        amount,
+      })),
+      [
+        { account: 'wallet', entryType: 'debit', amount: 400 },
+        { account: 'sales', entryType: 'credit', amount: 400 },
+      ]
+    );
+  });
+
+  it('refuses a capture the balance no longer covers', async () => {
+    wallet.balance = 300;
+    wallet.heldBalance = 400;
+
+    const captured = await captureWalletHold(
+      userId,
+      400,
+      getPaymentPosting(orderId)
+    );
+
+    assert.equal(captured, null);
+    assert.equal(wallet.balance, 300);
+    assert.equal(ledger.length, 0);
+  });
+
+  it('gives the hold back when the online part fails', async () => {
+    await holdWalletBalance(userId, 400);
+    const order = {
+      user: userId,
+      paymentLegs: [
+        { method: 'Wallet', amount: 400, status: 'Held' },
+        { method: 'Razorpay', amount: 600, status: 'Pending' },
+      ],
+    };
+
+    await releaseWalletLegs(order);
+
+    assert.equal(wallet.heldBalance, 0);
+    assert.equal(wallet.balance, 1000);
+    assert.deepEqual(
+      order.paymentLegs.map((leg) => leg.status),
+      ['Released', 'Released']
+    );
+  });
+
+  it('leaves expired promotional credit that backs a hold', async () => {
+    Object.assign(wallet, { balance: 500, promotionalBalance: 500 });
+    credits.push({
+      _id: new Types.ObjectId(),
+      userId,
+      amount: 500,
+      remaining: 500,
+      status: 'active',
+      referenceType: 'referral',
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    });
+    await holdWalletBalance(userId, 400);
+    // Expires while the customer is still paying online
+    credits[0].expiresAt = new Date(Date.now() - 1000);
+
+    await expirePromotionalCredits({ userId });
+    const captured = await captureWalletHold(
+      userId,
+      400,
+      getPaymentPosting(orderId)
+    );
+
+    assert.ok(captured);
+    assert.equal(wallet.balance, 0);
+    assert.equal(wallet.promotionalBalance, 0);
+    assert.equal(credits[0].remaining, 0);
+  });
+});
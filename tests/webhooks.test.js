@@ -0,0 +1,125 @@
+import {
+  captureFakePayment,
+  fakeProvider,
+  resetFakeProvider,
+} from './helpers/fakePaymentProvider.js';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Types } from 'mongoose';
+import Order from '../models/order.model.js';
+import Product from '../models/product.model.js';
+import WebhookEvent from '../models/webhookEvent.model.js';
+import { razorpayWebhook } from '../controllers/webhook.controller.js';
+import { hmacSha256 } from '../utils/payment/signature.js';
+import { useMemoryModel, useMemorySession } from './helpers/memoryModels.js';
+
+// A webhook delivery signed like the gateway signs it
+const delivery = (eventId, event, payload, secret = 'fake_secret') => {
+  const rawBody = JSON.stringify({ event, payload });
+  return {
+    headers: {
+      'x-razorpay-signature': hmacSha256(secret, rawBody),
+      'x-razorpay-event-id': eventId,
+    },
+    rawBody,
+    body: { event, payload },
+  };
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = mock.fn(() => res);
+  res.json = mock.fn((body) => (res.body = body));
+  return res;
+};
+
+describe('razorpayWebhook', () => {
+  let orders;
+  let events;
+
+  beforeEach(() => {
+    resetFakeProvider();
+    useMemorySession();
+    orders = useMemoryModel(Order);
+    events = useMemoryModel(WebhookEvent);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('rejects deliveries with a bad signature', async () => {
+    const req = delivery('evt_1', 'payment.failed', {}, 'wrong_secret');
+
+    await assert.rejects(razorpayWebhook(req, mockResponse()), /signature/);
+    assert.equal(events.length, 0);
+  });
+
+  it('applies a redelivered event once', async () => {
+    const order = {
+      _id: new Types.ObjectId(),
+      razorpayPaymentId: 'pay_1',
+      paymentStatus: 'Paid',
+      refunds: [],
+    };
+    orders.push(order);
+    const payload = {
+      refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 50000 } },
+      payment: { entity: { amount: 100000, amount_refunded: 50000 } },
+    };
+
+    const first = mockResponse();
+    await razorpayWebhook(
+      delivery('evt_1', 'refund.processed', payload),
+      first
+    );
+    const second = mockResponse();
+    await razorpayWebhook(
+      delivery('evt_1', 'refund.processed', payload),
+      second
+    );
+
+    assert.equal(first.body.message, 'Event refund.processed processed.');
+    assert.equal(
+      second.body.message,
+      'Event refund.processed already processed.'
+    );
+    assert.equal(order.refunds.length, 1);
+    assert.equal(order.paymentStatus, 'Partially Refunded');
+    assert.equal(events.length, 1);
+  });
+
+  it('refunds a capture whose stock sold out meanwhile', async () => {
+    const { id: razorpayOrderId } = await fakeProvider.createOrder(1000);
+    const { payment } = captureFakePayment(razorpayOrderId);
+    const product = { _id: new Types.ObjectId(), stock: 0, reservedStock: 0 };
+    useMemoryModel(Product, [product]);
+
+    const order = {
+      _id: new Types.ObjectId(),
+      razorpayOrderId,
+      paymentMethod: 'Razorpay',
+      paymentStatus: 'Pending',
+      reservation: { status: 'Released' },
+      orderItems: [{ product: product._id, quantity: 1, status: 'Pending' }],
+      paymentLegs: [],
+      refunds: [],
+      refundedAmount: 0,
+      statusHistory: [],
+    };
+    orders.push(order);
+
+    const res = mockResponse();
+    await razorpayWebhook(
+      delivery('evt_2', 'payment.captured', { payment: { entity: payment } }),
+      res
+    );
+
+    assert.equal(res.body.message, 'Event payment.captured processed.');
+    assert.equal(order.paymentStatus, 'Refunded');
+    assert.equal(order.orderItems[0].status, 'Cancelled');
+    assert.equal(order.refundedAmount, 1000);
+    assert.equal(
+      (await fakeProvider.fetchPayment(payment.id)).amount_refunded,
+      100000
+    );
+    assert.equal(product.stock, 0);
+  });
+});
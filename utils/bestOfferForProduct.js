@@ -52,3 +52,15 @@ export const selectBestOfferForProduct = async (productId) => {
     throw error;
   }
 };
+
+// Per-unit discount from a product's populated best offer
+export const getOfferDiscount = (product) => {
+  if (!product.bestOffer) return 0;
+
+  const discount =
+    product.bestOffer.discountType === 'percentage'
+      ? (product.price * product.bestOffer.discountValue) / 100
+      : product.bestOffer.discountValue;
+
+  return Math.min(discount, product.price);
+};
@@ -0,0 +1,23 @@
+// Items that haven't left the warehouse. Delivered digital items are not,
+// a key the customer has seen may already be redeemed.
+export const isCancellableItem = (item) =>
+  ['Pending', 'Pre-Ordered'].includes(item.status);
+
+/**
+ * Why the whole order can't be cancelled, or null when it can. Once part
+ * of it has shipped, or a game key was delivered, only the remaining items
+ * can be cancelled, one by one.
+ */
+export const getOrderCancelBlocker = (order) => {
+  const activeItems = order.orderItems.filter(
+    (item) => item.status !== 'Cancelled'
+  );
+
+  if (!activeItems.length) {
+    return 'All items in this order are already cancelled.';
+  }
+  if (!activeItems.every(isCancellableItem)) {
+    return 'Part of this order has already shipped or been delivered, please cancel the remaining items individually.';
+  }
+  return null;
+};
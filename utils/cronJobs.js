@@ -1,7 +1,17 @@
 import cron from 'node-cron';
 import Offer from '../models/offer.model.js';
 import Coupon from '../models/coupon.model.js';
+import Order from '../models/order.model.js';
 import Product from '../models/product.model.js';
+import PromotionalCredit from '../models/promotionalCredit.model.js';
+import { runInTransaction } from './runInTransaction.js';
+import { releaseOrderStock } from './stockReservation.js';
+import { markOrderPaymentFailed } from './orderPayment.js';
+import { reconcilePayments } from './reconcilePayments.js';
+import { expirePromotionalCredits } from './wallet.js';
+import { sendPendingKeyEmails } from './gameKeys.js';
+import { releasePreOrders } from './preOrders.js';
+import { expireWaitlistHolds } from './waitlist.js';
 import { selectBestOfferForProduct } from './bestOfferForProduct.js';
 import { trainRecommendationModel } from '../controllers/recommend.controller.js';
 
@@ -83,6 +93,100 @@ export const expiredCouponsJob = () => {
   });
 };
 
+export const expiredReservationsJob = () => {
+  cron.schedule('* * * * *', async () => {
+    const expiredOrders = await Order.find({
+      'reservation.status': 'Held',
+      'reservation.expiresAt': { $lt: new Date() },
+    }).select('_id');
+
+    if (!expiredOrders.length) return;
+
+    for (const { _id } of expiredOrders) {
+      try {
+        await runInTransaction(async (session) => {
+          // Re-read inside the transaction, the payment may have just been verified
+          const order = await Order.findOne({
+            _id,
+            'reservation.status': 'Held',
+          }).session(session);
+          if (!order) return;
+
+          // Also releases the wallet part of a split payment
+          const failed = await markOrderPaymentFailed(order, {
+            reason: 'Payment window expired',
+            session,
+          });
+          if (!failed) {
+            await releaseOrderStock(order, session);
+            await order.save({ session });
+          }
+        });
+      } catch (error) {
+        console.log(`Error releasing stock for order ${_id}:`, error);
+      }
+    }
+
+    console.log(`Released stock held by ${expiredOrders.length} checkouts.`);
+  });
+};
+
+export const promotionalCreditExpiryJob = () => {
+  cron.schedule('0 * * * *', async () => {
+    const userIds = await PromotionalCredit.distinct('userId', {
+      status: 'active',
+      expiresAt: { $lte: new Date() },
+    });
+
+    if (!userIds.length) return;
+
+    let expiredCount = 0;
+    for (const userId of userIds) {
+      try {
+        expiredCount += await runInTransaction((session) =>
+          expirePromotionalCredits({ userId, session })
+        );
+      } catch (error) {
+        console.log(`Error expiring promotional credit for ${userId}:`, error);
+      }
+    }
+
+    console.log(`Expired ${expiredCount} promotional credits.`);
+  });
+};
+
+export const paymentReconciliationJob = () => {
+  cron.schedule('30 1 * * *', async () => {
+    console.log('Running payment reconciliation...');
+
+    const report = await reconcilePayments();
+    console.log(
+      `Reconciliation ${report.status}: ${report.fixedCount} fixed, ${report.flaggedCount} flagged.`
+    );
+  });
+};
+
+export const gameKeyEmailJob = () => {
+  cron.schedule('* * * * *', async () => {
+    const sentCount = await sendPendingKeyEmails();
+    if (sentCount) console.log(`Emailed game keys for ${sentCount} orders.`);
+  });
+};
+
+export const preOrderReleaseJob = () => {
+  cron.schedule('5 0 * * *', async () => {
+    const releasedCount = await releasePreOrders();
+    console.log(`Released pre-orders of ${releasedCount} orders.`);
+  });
+};
+
+export const waitlistHoldExpiryJob = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    const expiredCount = await expireWaitlistHolds();
+    if (expiredCount) console.log(`Expired ${expiredCount} waitlist holds.`);
+  });
+};
+
 export const trainingRecommendationModelJob = () => {
   cron.schedule('0 2 * * *', async () => {
     console.log('Running scheduled model training...');
@@ -98,4 +202,10 @@ export const trainingRecommendationModelJob = () => {
 
 expiredOffersJob();
 expiredCouponsJob();
+expiredReservationsJob();
+promotionalCreditExpiryJob();
+paymentReconciliationJob();
+gameKeyEmailJob();
+preOrderReleaseJob();
+waitlistHoldExpiryJob();
 trainingRecommendationModelJob();
@@ -0,0 +1,179 @@
+import GameKey from '../models/gameKey.model.js';
+import Product from '../models/product.model.js';
+import { BadRequestError } from '../errors/index.js';
+import { recordStatusChange } from './orderHistory.js';
+import { sendEmail } from './sendEmail.js';
+
+/**
+ * Reads the keys out of an uploaded CSV, one per row in the first
+ * column. A `key` or `code` header row is skipped, duplicates are dropped.
+ */
+export const parseKeyCsv = (buffer) => {
+  const codes = buffer
+    .toString('utf8')
+    .split(/\r?\n/)
+    .map((row) => row.split(',')[0].trim().replace(/^"|"$/g, '').trim())
+    .filter(Boolean);
+
+  if (['key', 'code'].includes(codes[0]?.toLowerCase())) codes.shift();
+
+  return [...new Set(codes)];
+};
+
+/**
+ * Adds new keys to a product's pool and to its stock, keys already in
+ * the pool are skipped. Returns how many were added.
+ */
+export const importGameKeys = async (
+  productId,
+  codes,
+  { importedBy, session } = {}
+) => {
+  const existing = await GameKey.find({
+    product: productId,
+    code: { $in: codes },
+  })
+    .select('code')
+    .session(session);
+  const existingCodes = new Set(existing.map((key) => key.code));
+
+  const newKeys = codes
+    .filter((code) => !existingCodes.has(code))
+    .map((code) => ({ product: productId, code, importedBy }));
+
+  if (newKeys.length) {
+    await GameKey.insertMany(newKeys, { session });
+    await Product.updateOne(
+      { _id: productId },
+      { $inc: { stock: newKeys.length } },
+      { session }
+    );
+  }
+
+  return newKeys.length;
+};
+
+/**
+ * Gives every unit of the paid order's digital items its own key and
+ * marks those items delivered. Each key is claimed with a conditional
+ * update, so two orders can never get the same one. Items that already
+ * have their keys are skipped. The caller saves the order.
+ */
+export const assignOrderKeys = async (order, { actor, session } = {}) => {
+  const deliveredAt = new Date();
+
+  for (const item of order.orderItems) {
+    if (!item.isDigital || item.status !== 'Pending' || item.keys.length)
+      continue;
+
+    for (let unit = 0; unit < item.quantity; unit++) {
+      const key = await GameKey.findOneAndUpdate(
+        { product: item.product?._id || item.product, status: 'available' },
+        {
+          $set: {
+            status: 'assigned',
+            order: order._id,
+            orderItem: item._id,
+            user: order.user,
+            assignedAt: deliveredAt,
+          },
+        },
+        { sort: { createdAt: 1 }, new: true, session }
+      );
+
+      if (!key) {
+        throw new BadRequestError('Game keys for this product have run out.');
+      }
+      item.keys.push(key._id);
+    }
+
+    item.status = 'Delivered';
+    item.deliveredAt = deliveredAt;
+    recordStatusChange(order, {
+      scope: 'item',
+      status: 'Delivered',
+      item,
+      actor,
+      reason: 'Game keys issued',
+    });
+  }
+};
+
+/**
+ * Revokes the keys of a cancelled or refunded digital item, `quantity`
+ * of them for a partial return. Revoked keys never go back to the pool.
+ */
+export const revokeItemKeys = async (
+  item,
+  { quantity = item.quantity, reason = null, session } = {}
+) => {
+  if (!item.isDigital || !item.keys?.length) return 0;
+
+  const keys = await GameKey.find({
+    _id: { $in: item.keys },
+    status: 'assigned',
+  })
+    .sort({ assignedAt: 1 })
+    .limit(quantity)
+    .session(session);
+
+  const { modifiedCount } = await GameKey.updateMany(
+    { _id: { $in: keys.map((key) => key._id) }, status: 'assigned' },
+    {
+      $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason },
+    },
+    { session }
+  );
+
+  return modifiedCount;
+};
+
+/**
+ * Emails buyers the keys assigned to them since the last run, one email
+ * per order. Keys are only marked once their email went out.
+ */
+export const sendPendingKeyEmails = async () => {
+  const keys = await GameKey.find({ status: 'assigned', emailedAt: null })
+    .select('+code')
+    .populate('product', 'name')
+    .populate('user', 'name email')
+    .limit(500);
+
+  const keysByOrder = new Map();
+  for (const key of keys) {
+    const orderId = key.order.toString();
+    keysByOrder.set(orderId, [...(keysByOrder.get(orderId) || []), key]);
+  }
+
+  let sentCount = 0;
+  for (const [orderId, orderKeys] of keysByOrder) {
+    const { user } = orderKeys[0];
+    if (!user?.email) continue;
+
+    const rows = orderKeys
+      .map(
+        (key) => `<li>${key.product?.name || 'Game'}: <b>${key.code}</b></li>`
+      )
+      .join('');
+
+    try {
+      await sendEmail(
+        user.email,
+        'Your GameStash game keys',
+        `<h3>Hi ${user.name}, thanks for your order #${orderId.slice(-6)}!</h3>
+    <p>Here are your activation keys:</p><ul>${rows}</ul>
+    <p>You can also find them in your order details.</p>`
+      );
+
+      await GameKey.updateMany(
+        { _id: { $in: orderKeys.map((key) => key._id) } },
+        { $set: { emailedAt: new Date() } }
+      );
+      sentCount++;
+    } catch (error) {
+      console.log(`Error emailing game keys for order ${orderId}:`, error);
+    }
+  }
+
+  return sentCount;
+};
@@ -1,4 +1,5 @@
 import Order from '../models/order.model.js';
+import { summariseOrderTax } from './tax.js';
 import {
   startOfDay,
   endOfDay,
@@ -56,6 +57,10 @@ export const generateSalesData = async (startDate, endDate, period) => {
     totalDiscounts: 0,
     totalCouponDiscounts: 0,
     totalShippingCharges: 0,
+    totalTaxableValue: 0,
+    totalCgst: 0,
+    totalSgst: 0,
+    totalIgst: 0,
     netRevenue: 0,
   };
 
@@ -64,9 +69,15 @@ export const generateSalesData = async (startDate, endDate, period) => {
     summary.totalSales += order.totalAmount;
     summary.totalDiscounts += order.totalDiscount;
     summary.totalCouponDiscounts += order.couponDiscount;
-    summary.totalShippingCharges += order.shippingAddress?.shippingCost || 0;
+    summary.totalShippingCharges += order.shippingCharge || 0;
     summary.netRevenue += order.finalPrice;
 
+    const tax = summariseOrderTax(order);
+    summary.totalTaxableValue += tax.taxableValue;
+    summary.totalCgst += tax.cgst;
+    summary.totalSgst += tax.sgst;
+    summary.totalIgst += tax.igst;
+
     return {
       orderDate: new Date(order.placedAt).toLocaleDateString(),
       orderId: order._id.toString(),
@@ -74,10 +85,24 @@ export const generateSalesData = async (startDate, endDate, period) => {
       totalOrderAmount: order.totalAmount,
       discount: order.totalDiscount,
       couponDiscount: order.couponDiscount,
-      shippingCharge: order.shippingAddress?.shippingCost || 0,
+      shippingCharge: order.shippingCharge || 0,
+      taxableValue: tax.taxableValue,
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
       netTotal: order.finalPrice,
     };
   });
 
+  // Tax totals are summed per order, rounded back to paise
+  for (const key of [
+    'totalTaxableValue',
+    'totalCgst',
+    'totalSgst',
+    'totalIgst',
+  ]) {
+    summary[key] = Math.round(summary[key] * 100) / 100;
+  }
+
   return { summary, salesData };
 };
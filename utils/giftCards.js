@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import GiftCard from '../models/giftCard.model.js';
+import { recordStatusChange } from './orderHistory.js';
+
+// How long purchased gift cards stay redeemable
+export const GIFT_CARD_VALIDITY_DAYS =
+  Number(process.env.GIFT_CARD_VALIDITY_DAYS) || 365;
+
+// No 0/O or 1/I, codes are typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Random code in the form XXXX-XXXX-XXXX-XXXX.
+ */
+export const generateGiftCardCode = () => {
+  const characters = Array.from(
+    crypto.randomBytes(16),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join('');
+
+  return characters.match(/.{4}/g).join('-');
+};
+
+export const getGiftCardExpiry = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + GIFT_CARD_VALIDITY_DAYS);
+  return expiresAt;
+};
+
+/**
+ * Creates `count` gift cards with the given details. Codes are unique
+ * through the index on `code`.
+ */
+export const createGiftCards = async (count, details, { session } = {}) =>
+  await GiftCard.insertMany(
+    Array.from({ length: count }, () => ({
+      ...details,
+      code: generateGiftCardCode(),
+    })),
+    { session }
+  );
+
+/**
+ * Issues the codes for the gift cards bought in a paid order. Safe to call
+ * more than once, lines that already have their codes are skipped. The
+ * caller saves the order.
+ */
+export const issueOrderGiftCards = async (order, { session } = {}) => {
+  for (const item of order.giftCardItems || []) {
+    if (item.giftCards.length) continue;
+
+    const giftCards = await createGiftCards(
+      item.quantity,
+      {
+        value: item.value,
+        expiresAt: getGiftCardExpiry(),
+        source: 'purchase',
+        purchasedBy: order.user,
+        order: order._id,
+      },
+      { session }
+    );
+
+    item.giftCards = giftCards.map((giftCard) => giftCard._id);
+  }
+
+  // Nothing to ship, an order of only gift cards is done once they exist
+  if (!order.orderItems.length && order.giftCardItems?.length) {
+    order.orderStatus = 'Delivered';
+    recordStatusChange(order, {
+      status: 'Delivered',
+      reason: 'Gift card codes issued',
+    });
+  }
+};
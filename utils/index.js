@@ -2,9 +2,10 @@ export { paginate } from './paginate.js';
 export { sendEmail } from './sendEmail.js';
 export { generateOtp } from './generateOtp.js';
 export { generateReferralCode } from './generateReferralCode.js';
+export { runInTransaction } from './runInTransaction.js';
 
 export { generateSalesData } from './generateSalesData.js';
 export { aggregatePaginate } from './aggregatePaginate.js';
-export { createRazorpayOrder } from './createRazorpayOrder.js';
+export { paymentProvider, getPaymentProvider } from './payment/index.js';
 export { selectBestOfferForProduct } from './bestOfferForProduct.js';
 export { createAccessToken, createRefreshToken, verifyToken } from './token.js';
@@ -0,0 +1,220 @@
+import PDFDocument from 'pdfkit';
+
+export const companyInfo = {
+  name: 'Your Company Name',
+  address: ['123 Business Street', 'City, State', 'PIN: 123456'],
+  contacts: [
+    'Phone: +91 12345 67890',
+    'email@company.com',
+    `GSTIN: ${process.env.GSTIN || 'N/A'}`,
+  ],
+};
+
+// Sends a stored invoice or credit note as a download
+export const sendInvoicePdf = (res, invoice) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${invoice.number.replaceAll('/', '-')}.pdf"`
+  );
+  res.send(invoice.pdf);
+};
+
+const money = (amount) => `₹${Math.abs(amount).toFixed(2)}`;
+
+/**
+ * Renders an issued invoice or credit note to a PDF buffer. Only reads
+ * the document's own snapshot, so a re-render always looks the same.
+ */
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const isCreditNote = invoice.type === 'credit-note';
+    const doc = new PDFDocument({
+      margin: 50,
+      size: 'A4',
+      layout: 'portrait',
+      font: 'Helvetica',
+      bufferPages: true,
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header Section
+    let y = 45;
+    doc
+      .fillColor('#2c3e50')
+      .fontSize(20)
+      .font('Helvetica-Bold')
+      .text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', 300, y, {
+        align: 'right',
+      });
+
+    doc
+      .fontSize(10)
+      .fillColor('#666666')
+      .font('Helvetica')
+      .text(`No: ${invoice.number}`, 300, y + 30, { align: 'right' })
+      .text(
+        `Date: ${invoice.issuedAt.toLocaleDateString('en-IN')}`,
+        300,
+        y + 45,
+        { align: 'right' }
+      )
+      .text(`Order: ${invoice.order.toString().slice(-8)}`, 300, y + 60, {
+        align: 'right',
+      });
+
+    if (isCreditNote && invoice.invoiceNumber) {
+      doc.text(`Against invoice: ${invoice.invoiceNumber}`, 300, y + 75, {
+        align: 'right',
+      });
+    }
+
+    // Company and Customer Info
+    y = 140;
+    doc
+      .font('Helvetica-Bold')
+      .fillColor('#2c3e50')
+      .text('From:', 50, y)
+      .font('Helvetica')
+      .fillColor('#333333')
+      .text(companyInfo.name, 50, y + 15);
+
+    companyInfo.address.forEach((line, i) => {
+      doc.text(line, 50, y + 30 + i * 15);
+    });
+    companyInfo.contacts.forEach((line, i) => {
+      doc.text(line, 50, y + 75 + i * 15);
+    });
+
+    const address = invoice.billingAddress || {};
+    const customerLines = [
+      invoice.customer?.name || 'N/A',
+      address.addressLine || 'N/A',
+      `${address.city || 'N/A'}, ${address.state || 'N/A'} ${address.zip || ''}`,
+      `Phone: ${invoice.customer?.phoneNumber || 'N/A'}`,
+      `Place of Supply: ${address.state || 'N/A'}`,
+    ];
+
+    doc
+      .font('Helvetica-Bold')
+      .fillColor('#2c3e50')
+      .text('Bill To:', 300, y)
+      .font('Helvetica')
+      .fillColor('#333333');
+
+    customerLines.forEach((line, i) => {
+      doc.text(line, 300, y + 15 + i * 15);
+    });
+
+    // Items Table
+    y = 280;
+    const columnWidths = [170, 65, 40, 80, 55, 80];
+    const alignments = ['left', 'right', 'right', 'right', 'right', 'right'];
+    const columnX = (i) =>
+      i === 0 ? 55 : 50 + columnWidths.slice(0, i).reduce((a, b) => a + b) + 5;
+
+    doc
+      .rect(50, y, 500, 20)
+      .fill('#2c3e50')
+      .font('Helvetica-Bold')
+      .fontSize(10)
+      .fillColor('#ffffff');
+
+    ['Item', 'Price', 'Qty', 'Taxable', 'GST', 'Amount'].forEach((text, i) => {
+      doc.text(text, columnX(i), y + 5, {
+        width: columnWidths[i] - 10,
+        align: alignments[i],
+      });
+    });
+
+    y += 25;
+    invoice.lines.forEach((line, index) => {
+      if (y > doc.page.height - 100) {
+        doc.addPage();
+        y = 50;
+      }
+
+      const row = [
+        line.description.substring(0, 40),
+        money(line.unitPrice),
+        line.quantity.toString(),
+        money(line.tax?.taxableValue || 0),
+        `${line.tax?.rate || 0}%`,
+        money(line.amount),
+      ];
+
+      if (index % 2 === 0) {
+        doc.rect(50, y - 5, 500, 20).fill('#f8f9fa');
+      }
+
+      row.forEach((text, i) => {
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .fillColor('#333333')
+          .text(text, columnX(i), y, {
+            width: columnWidths[i] - 10,
+            align: alignments[i],
+          });
+      });
+
+      y += 20;
+    });
+
+    // Summary Section, prices include GST so it is shown as part of the total
+    y += 30;
+    const summaryLines = [
+      ...(invoice.couponDiscount
+        ? [{ label: 'Coupon Discount:', value: invoice.couponDiscount }]
+        : []),
+      { label: 'Shipping:', value: invoice.shippingCharge },
+      {
+        label: isCreditNote ? 'Total Credit:' : 'Total:',
+        value: invoice.total,
+      },
+      { label: 'Taxable Value:', value: invoice.tax?.taxableValue || 0 },
+      ...(invoice.tax?.igst > 0
+        ? [{ label: 'IGST (incl.):', value: invoice.tax.igst }]
+        : [
+            { label: 'CGST (incl.):', value: invoice.tax?.cgst || 0 },
+            { label: 'SGST (incl.):', value: invoice.tax?.sgst || 0 },
+          ]),
+    ];
+
+    summaryLines.forEach((line, i) => {
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .fillColor('#2c3e50')
+        .text(line.label, 380, y + i * 20, { align: 'left' })
+        .text(money(line.value), 480, y + i * 20, {
+          align: 'left',
+          width: 80,
+        });
+    });
+
+    y += summaryLines.length * 20 + 20;
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor('#666666')
+      .text(`Payment Method: ${invoice.paymentMethod || 'N/A'}`, 50, y);
+
+    if (invoice.reason) {
+      doc.text(`Reason: ${invoice.reason}`, 50, y + 20);
+    }
+
+    // Footer
+    doc
+      .fontSize(8)
+      .fillColor('#666666')
+      .text('Thank you for your business!', 50, doc.page.height - 50, {
+        align: 'center',
+      });
+
+    doc.end();
+  });
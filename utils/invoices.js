@@ -0,0 +1,226 @@
+import Counter from '../models/counter.model.js';
+import Invoice from '../models/invoice.model.js';
+import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import { renderInvoicePdf } from './invoicePdf.js';
+import { getItemRefundAmount } from './refundPolicy.js';
+import { summariseOrderTax } from './tax.js';
+
+const NUMBER_PREFIXES = { invoice: 'INV', 'credit-note': 'CN' };
+
+const roundPaise = (amount) => Math.round(amount * 100) / 100;
+
+// Indian financial years run April to March, e.g. 2026-27
+export const getFinancialYear = (date = new Date()) => {
+  const startYear =
+    date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Bumped in the caller's transaction, an aborted issue leaves no gap
+const nextDocumentNumber = async (type, financialYear, session) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${type}:${financialYear}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${NUMBER_PREFIXES[type]}/${financialYear}/${String(counter.seq).padStart(6, '0')}`;
+};
+
+const scaleTax = (tax, share) => ({
+  rate: tax?.rate || 0,
+  taxableValue: roundPaise((tax?.taxableValue || 0) * share),
+  cgst: roundPaise((tax?.cgst || 0) * share),
+  sgst: roundPaise((tax?.sgst || 0) * share),
+  igst: roundPaise((tax?.igst || 0) * share),
+});
+
+const sumTax = (lines) =>
+  lines.reduce(
+    (sum, { tax }) => ({
+      taxableValue: roundPaise(sum.taxableValue + tax.taxableValue),
+      cgst: roundPaise(sum.cgst + tax.cgst),
+      sgst: roundPaise(sum.sgst + tax.sgst),
+      igst: roundPaise(sum.igst + tax.igst),
+    }),
+    { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 }
+  );
+
+const getProductNames = async (order, session) => {
+  const products = await Product.find({
+    _id: {
+      $in: order.orderItems.map((item) => item.product._id || item.product),
+    },
+  })
+    .select('name')
+    .session(session);
+
+  return new Map(
+    products.map((product) => [product._id.toString(), product.name])
+  );
+};
+
+// Numbers, renders and stores a document, all within the caller's session
+const createDocument = async (type, order, details, session) => {
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const user = await User.findById(order.user)
+    .select('name phoneNumber')
+    .session(session);
+
+  const document = {
+    ...details,
+    type,
+    number: await nextDocumentNumber(type, financialYear, session),
+    financialYear,
+    issuedAt,
+    order: order._id,
+    user: order.user,
+    customer: { name: user?.name, phoneNumber: user?.phoneNumber },
+    billingAddress: order.shippingAddress,
+    paymentMethod: order.paymentMethod,
+  };
+  document.pdf = await renderInvoicePdf(document);
+
+  const [invoice] = await Invoice.create([document], { session });
+  return invoice;
+};
+
+// Paid orders, and Cash on Delivery orders once something is delivered
+export const isInvoiceDue = (order) =>
+  ['Paid', 'Partially Refunded', 'Refunded'].includes(order.paymentStatus) ||
+  order.orderItems.some((item) => item.deliveredAt);
+
+/**
+ * Issues the order's tax invoice, once an order is paid, or delivered
+ * for Cash on Delivery. Orders that already have one are left alone.
+ * The caller saves the order.
+ */
+export const issueInvoice = async (order, { session } = {}) => {
+  if (order.invoice) return null;
+
+  const productNames = await getProductNames(order, session);
+  const lines = order.orderItems
+    .filter((item) => item.status !== 'Cancelled')
+    .map((item) => ({
+      item: item._id,
+      description:
+        productNames.get((item.product._id || item.product).toString()) ||
+        'Product',
+      quantity: item.quantity,
+      unitPrice: item.price - item.discount,
+      amount: item.totalPrice,
+      tax: scaleTax(item.tax, 1),
+    }));
+
+  // Gift vouchers carry no GST when they are sold
+  order.giftCardItems?.forEach((giftCard) =>
+    lines.push({
+      description: `Gift card ₹${giftCard.value}`,
+      quantity: giftCard.quantity,
+      unitPrice: giftCard.value,
+      amount: giftCard.totalPrice,
+      tax: scaleTax(null, 0),
+    })
+  );
+
+  const invoice = await createDocument(
+    'invoice',
+    order,
+    {
+      lines,
+      couponDiscount: order.couponDiscount,
+      shippingCharge: order.shippingCharge,
+      total: order.finalPrice,
+      tax: summariseOrderTax(order),
+    },
+    session
+  );
+
+  order.invoice = invoice._id;
+  order.invoiceNumber = invoice.number;
+  return invoice;
+};
+
+/**
+ * Issues a credit note against the order's invoice for cancelled or
+ * returned units, `lines` being [{ item, quantity }]. Shipping is credited
+ * once every item is cancelled. Nothing is issued before invoicing.
+ */
+export const issueCreditNote = async (
+  order,
+  { lines, reason = null, session } = {}
+) => {
+  if (!order.invoice || !lines.length) return null;
+
+  const productNames = await getProductNames(order, session);
+  const creditLines = lines.map(({ item, quantity }) => ({
+    item: item._id,
+    description:
+      productNames.get((item.product._id || item.product).toString()) ||
+      'Product',
+    quantity,
+    unitPrice: item.price - item.discount,
+    amount: getItemRefundAmount(order, item, quantity),
+    tax: scaleTax(item.tax, quantity / item.quantity),
+  }));
+
+  const shippingCharge = order.orderItems.every(
+    (item) => item.status === 'Cancelled'
+  )
+    ? order.shippingCharge
+    : 0;
+
+  return createDocument(
+    'credit-note',
+    order,
+    {
+      invoice: order.invoice,
+      invoiceNumber: order.invoiceNumber,
+      reason,
+      lines: creditLines,
+      shippingCharge,
+      total:
+        creditLines.reduce((sum, line) => sum + line.amount, 0) +
+        shippingCharge,
+      tax: sumTax(creditLines),
+    },
+    session
+  );
+};
+
+/**
+ * Replaces the invoice of an order whose contents changed: the old one is
+ * credited in full and a new one issued for the order as it is now.
+ * Orders without an invoice are left alone. The caller saves the order.
+ */
+export const reissueInvoice = async (
+  order,
+  { reason = null, session } = {}
+) => {
+  if (!order.invoice) return null;
+
+  const previous = await Invoice.findById(order.invoice).session(session);
+  if (previous) {
+    await createDocument(
+      'credit-note',
+      order,
+      {
+        invoice: previous._id,
+        invoiceNumber: previous.number,
+        reason,
+        lines: previous.lines.map((line) => line.toObject()),
+        couponDiscount: previous.couponDiscount,
+        shippingCharge: previous.shippingCharge,
+        total: previous.total,
+        tax: previous.tax?.toObject(),
+      },
+      session
+    );
+  }
+
+  order.invoice = null;
+  order.invoiceNumber = null;
+  return issueInvoice(order, { session });
+};
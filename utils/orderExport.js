@@ -0,0 +1,113 @@
+import ExcelJS from 'exceljs';
+import Order from '../models/order.model.js';
+import { buildOrderFilter } from './orderFilters.js';
+
+// Kept to what a warehouse processes in a batch, and what fits in memory
+export const ORDER_EXPORT_LIMIT = Number(process.env.ORDER_EXPORT_LIMIT || 500);
+
+export const PICK_LIST_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+const PICK_LIST_COLUMNS = [
+  { header: 'Order ID', key: 'orderId', width: 26 },
+  { header: 'Order Date', key: 'orderDate', width: 12 },
+  { header: 'Customer', key: 'customer', width: 20 },
+  { header: 'Phone', key: 'phoneNumber', width: 14 },
+  { header: 'Product', key: 'product', width: 36 },
+  { header: 'Platform', key: 'platform', width: 12 },
+  { header: 'Quantity', key: 'quantity', width: 10 },
+  { header: 'Item Status', key: 'status', width: 12 },
+  { header: 'Address', key: 'addressLine', width: 36 },
+  { header: 'City', key: 'city', width: 16 },
+  { header: 'State', key: 'state', width: 16 },
+  { header: 'ZIP', key: 'zip', width: 10 },
+  { header: 'Country', key: 'country', width: 12 },
+  { header: 'Payment Method', key: 'paymentMethod', width: 16 },
+  { header: 'Payment Status', key: 'paymentStatus', width: 16 },
+  { header: 'Amount to Collect', key: 'amountToCollect', width: 16 },
+];
+
+// Only physical items still waiting in the warehouse get picked and packed
+export const getPackableItems = (order) =>
+  order.orderItems.filter(
+    (item) => !item.isDigital && item.status === 'Pending'
+  );
+
+// What the courier collects on delivery, nothing for prepaid orders
+export const getAmountToCollect = (order) =>
+  order.paymentMethod === 'Cash on Delivery' &&
+  order.paymentStatus === 'Pending'
+    ? order.finalPrice
+    : 0;
+
+// Online checkouts stay Processing while unpaid, they must never be shipped
+const UNPAID_ONLINE_ORDER = {
+  paymentMethod: { $ne: 'Cash on Delivery' },
+  paymentStatus: { $in: ['Pending', 'Failed'] },
+};
+
+/**
+ * Orders matching the admin filters (see orderFilterSchema) with their
+ * customer and products, oldest first. Unpaid online orders and orders
+ * with nothing left to pack are left out. Returns null when more than
+ * ORDER_EXPORT_LIMIT orders match.
+ */
+export const findOrdersForExport = async (filters) => {
+  const orders = await Order.find({
+    ...(await buildOrderFilter(filters)),
+    $nor: [UNPAID_ONLINE_ORDER],
+  })
+    .sort({ placedAt: 1 })
+    .limit(ORDER_EXPORT_LIMIT + 1)
+    .populate('user', 'name email phoneNumber')
+    .populate('orderItems.product', 'name platform')
+    .lean();
+
+  if (orders.length > ORDER_EXPORT_LIMIT) return null;
+  return orders.filter((order) => getPackableItems(order).length);
+};
+
+/**
+ * Renders a pick list, one row per order item, as a CSV or XLSX buffer.
+ */
+export const renderPickList = async (orders, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Pick List');
+  worksheet.columns = PICK_LIST_COLUMNS;
+  worksheet.getRow(1).font = { bold: true };
+
+  orders.forEach((order) => {
+    const address = order.shippingAddress || {};
+
+    getPackableItems(order).forEach((item) => {
+      worksheet.addRow({
+        orderId: order._id.toString(),
+        orderDate: new Date(order.placedAt).toLocaleDateString('en-IN'),
+        customer: order.user?.name || 'N/A',
+        phoneNumber: order.user?.phoneNumber || '',
+        product: item.product?.name || 'Product',
+        platform: item.product?.platform || '',
+        quantity: item.quantity,
+        status: item.status,
+        addressLine: address.addressLine || '',
+        city: address.city || '',
+        state: address.state || '',
+        zip: address.zip || '',
+        country: address.country || '',
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus,
+        amountToCollect: getAmountToCollect(order),
+      });
+    });
+  });
+
+  return format === 'csv'
+    ? workbook.csv.writeBuffer()
+    : workbook.xlsx.writeBuffer();
+};
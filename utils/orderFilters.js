@@ -0,0 +1,70 @@
+import { Types } from 'mongoose';
+import { endOfDay, startOfDay } from 'date-fns';
+import User from '../models/user.model.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Orders are referred to by the last characters of their ID, e.g. #a1b2c3
+const matchOrderId = (search) => {
+  if (Types.ObjectId.isValid(search) && search.length === 24) {
+    return { _id: new Types.ObjectId(search) };
+  }
+  if (!/^[0-9a-f]+$/i.test(search)) return null;
+
+  return {
+    $expr: {
+      $regexMatch: {
+        input: { $toString: '$_id' },
+        regex: `${search.toLowerCase()}$`,
+      },
+    },
+  };
+};
+
+/**
+ * Builds the Order query for the admin filters, validated with
+ * orderFilterSchema. Customers are matched by a part of their email.
+ */
+export const buildOrderFilter = async ({
+  orderStatus,
+  paymentStatus,
+  paymentMethod,
+  startDate,
+  endDate,
+  email,
+  product,
+  couponCode,
+  search,
+} = {}) => {
+  const filter = {
+    ...(orderStatus && { orderStatus }),
+    ...(paymentStatus && { paymentStatus }),
+    ...(paymentMethod && { paymentMethod }),
+    ...(couponCode && { couponCode }),
+    ...(product && { 'orderItems.product': new Types.ObjectId(product) }),
+  };
+
+  if (startDate || endDate) {
+    filter.placedAt = {
+      ...(startDate && { $gte: startOfDay(startDate) }),
+      ...(endDate && { $lte: endOfDay(endDate) }),
+    };
+  }
+
+  if (email) {
+    const users = await User.find({
+      email: { $regex: escapeRegex(email), $options: 'i' },
+    }).select('_id');
+    filter.user = { $in: users.map((user) => user._id) };
+  }
+
+  if (search) {
+    const orderIdMatch = matchOrderId(search);
+    filter.$or = [
+      { razorpayOrderId: search },
+      ...(orderIdMatch ? [orderIdMatch] : []),
+    ];
+  }
+
+  return filter;
+};
@@ -0,0 +1,44 @@
+// Changes made by cron jobs, webhooks and reconciliation
+export const SYSTEM_ACTOR = { role: 'system', id: null };
+
+export const getActor = (req) => ({ role: req.user.role, id: req.user.id });
+
+/**
+ * Appends a status change to the order's history. Entries are never edited
+ * or removed. The caller saves the order.
+ */
+export const recordStatusChange = (
+  order,
+  { scope = 'order', status, item = null, actor = SYSTEM_ACTOR, reason = null }
+) => {
+  order.statusHistory.push({
+    scope,
+    status,
+    item: item?._id || item,
+    actor: actor.id,
+    actorRole: actor.role,
+    reason,
+  });
+};
+
+/**
+ * Status history oldest first, with the product each item entry is about.
+ */
+export const buildTimeline = (order) =>
+  [...order.statusHistory]
+    .sort((a, b) => a.at - b.at)
+    .map((entry) => {
+      const item = entry.item && order.orderItems.id(entry.item);
+
+      return {
+        at: entry.at,
+        scope: entry.scope,
+        status: entry.status,
+        item: entry.item,
+        product: item ? item.product?._id || item.product : null,
+        productName: item?.product?.name || null,
+        actorRole: entry.actorRole,
+        actor: entry.actor,
+        reason: entry.reason,
+      };
+    });
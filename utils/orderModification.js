@@ -0,0 +1,346 @@
+import Address from '../models/address.model.js';
+import Coupon from '../models/coupon.model.js';
+import Product from '../models/product.model.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { getOfferDiscount } from './bestOfferForProduct.js';
+import { assignOrderKeys } from './gameKeys.js';
+import { reissueInvoice } from './invoices.js';
+import { canRefundOrder, issueRefund } from './refundPolicy.js';
+import { getParcelWeight, getShippingQuote } from './shipping.js';
+import { decrementStock } from './stockReservation.js';
+import { calculateItemTax, findTaxRates, resolveTaxRate } from './tax.js';
+import { claimWaitlistHold } from './waitlist.js';
+import { debitWallet, findUsableWallet } from './wallet.js';
+
+// Items that haven't left the warehouse yet
+const MODIFIABLE_ITEM_STATUSES = ['Pending', 'Pre-Ordered'];
+
+const roundPaise = (amount) => Math.round(amount * 100) / 100;
+
+const getProductId = (item) => item.product?._id || item.product;
+
+/**
+ * Why the order can't be changed any more, or null when it still can.
+ * Unpaid online checkouts have to finish paying first, their stock is
+ * only held.
+ */
+export const getModificationBlocker = (order) => {
+  if (order.orderStatus !== 'Processing') {
+    return 'Only orders that are still processing can be changed.';
+  }
+  if (order.paymentMethod !== 'Cash on Delivery' && !canRefundOrder(order)) {
+    return 'Please complete the payment before changing this order.';
+  }
+  return null;
+};
+
+const changeItemQuantity = async (order, { itemId, quantity }, session) => {
+  const item = order.orderItems.id(itemId);
+  if (!item) throw new NotFoundError('Order item not found.');
+
+  if (item.isDigital || !MODIFIABLE_ITEM_STATUSES.includes(item.status)) {
+    throw new BadRequestError(
+      'Only items that have not been shipped or delivered can be changed.'
+    );
+  }
+  if (item.quantity === quantity) return null;
+
+  const productId = getProductId(item);
+  const added = quantity - item.quantity;
+
+  if (added > 0) {
+    const taken = await decrementStock(productId, added, session);
+    if (!taken) {
+      throw new BadRequestError(
+        'Not enough stock to add more units of this item.'
+      );
+    }
+  } else {
+    await Product.updateOne(
+      { _id: productId },
+      { $inc: { stock: -added } },
+      { session }
+    );
+  }
+
+  const change = {
+    type: 'quantity',
+    item: item._id,
+    product: productId,
+    from: item.quantity,
+    to: quantity,
+  };
+
+  item.quantity = quantity;
+  item.totalPrice = (item.price - item.discount) * quantity;
+  order.totalAmount += item.price * added;
+  order.totalDiscount += item.discount * added;
+
+  return change;
+};
+
+// New items are priced with today's offers, like a fresh checkout
+const addItem = async (order, { product: productId, quantity }, session) => {
+  const product = await Product.findById(productId)
+    .populate('bestOffer')
+    .session(session);
+  if (!product) {
+    throw new NotFoundError(`Product not found for ID: ${productId}`);
+  }
+
+  const alreadyOrdered = order.orderItems.some(
+    (item) =>
+      getProductId(item).equals(product._id) &&
+      MODIFIABLE_ITEM_STATUSES.includes(item.status) &&
+      !item.isDigital
+  );
+  if (alreadyOrdered) {
+    throw new BadRequestError(
+      `${product.name} is already in this order, change its quantity instead.`
+    );
+  }
+
+  const isPreOrder = product.releaseDate > new Date();
+  if (isPreOrder && !product.preOrder) {
+    throw new BadRequestError(`${product.name} is not released yet.`);
+  }
+  if (product.isDigital && order.paymentMethod === 'Cash on Delivery') {
+    throw new BadRequestError(
+      `${product.name} is a digital game and cannot be paid with Cash on Delivery.`
+    );
+  }
+
+  await claimWaitlistHold(order.user, product._id, { session });
+
+  const taken = await decrementStock(product._id, quantity, session);
+  if (!taken) {
+    throw new BadRequestError(
+      `Insufficient stock for product: ${product.name}, join the waitlist to hear when it is back.`
+    );
+  }
+
+  const discount = getOfferDiscount(product);
+  order.orderItems.push({
+    product: product._id,
+    price: product.price,
+    discount,
+    quantity,
+    totalPrice: (product.price - discount) * quantity,
+    isDigital: product.isDigital,
+    ...(isPreOrder && {
+      status: 'Pre-Ordered',
+      releaseDate: product.releaseDate,
+    }),
+  });
+  order.totalAmount += product.price * quantity;
+  order.totalDiscount += discount * quantity;
+
+  return {
+    type: 'item-added',
+    item: order.orderItems.at(-1)._id,
+    product: product._id,
+    to: quantity,
+  };
+};
+
+const changeShippingAddress = async (order, addressId, session) => {
+  const address = await Address.findOne({
+    _id: addressId,
+    user: order.user,
+  }).session(session);
+  if (!address) throw new NotFoundError('Address not found');
+
+  const { _id, ...from } = order.shippingAddress?.toObject() || {};
+  order.shippingAddress = address.toObject();
+
+  return { type: 'shipping-address', from, to: address.toObject() };
+};
+
+// Percentage coupons follow the new total, flat ones stay as they were
+const recalculateCoupon = async (order, session) => {
+  if (!order.couponCode) return;
+
+  const coupon = await Coupon.findOne({ code: order.couponCode }).session(
+    session
+  );
+  if (!coupon) return;
+
+  const activeSubtotal = order.orderItems
+    .filter((item) => item.status !== 'Cancelled')
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (activeSubtotal < coupon.minOrderAmount) {
+    throw new BadRequestError(
+      `Orders using coupon ${coupon.code} must stay above ₹${coupon.minOrderAmount}.`
+    );
+  }
+
+  if (coupon.discountType !== 'percentage') return;
+
+  let couponDiscount = (order.totalAmount * coupon.discountValue) / 100;
+  if (coupon.maxDiscountAmount) {
+    couponDiscount = Math.min(couponDiscount, coupon.maxDiscountAmount);
+  }
+  couponDiscount = Math.min(couponDiscount, order.totalAmount);
+
+  order.totalDiscount += couponDiscount - order.couponDiscount;
+  order.couponDiscount = couponDiscount;
+};
+
+// Tax and shipping depend on every item and the address, so both are redone
+const recalculateTaxAndShipping = async (order, session) => {
+  const activeItems = order.orderItems.filter(
+    (item) => item.status !== 'Cancelled'
+  );
+  const products = await Product.find({
+    _id: { $in: activeItems.map(getProductId) },
+  }).session(session);
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+  // A product removed from the catalogue still falls back to the default rate
+  const getProduct = (item) =>
+    productsById.get(getProductId(item).toString()) || {
+      _id: getProductId(item),
+    };
+
+  const taxRates = await findTaxRates(products, order.shippingAddress, {
+    session,
+  });
+  for (const item of activeItems) {
+    const couponShare = order.totalAmount
+      ? (item.totalPrice / order.totalAmount) * order.couponDiscount
+      : 0;
+
+    item.tax = calculateItemTax(
+      item.totalPrice - couponShare,
+      resolveTaxRate(getProduct(item), taxRates),
+      order.shippingAddress
+    );
+  }
+
+  const shippedItems = activeItems.filter((item) => !item.isDigital);
+  let shipping = { zone: null, charge: 0 };
+  if (shippedItems.length) {
+    shipping = await getShippingQuote(
+      order.shippingAddress,
+      {
+        subtotal: shippedItems.reduce((sum, item) => sum + item.totalPrice, 0),
+        weight: getParcelWeight(
+          shippedItems.map((item) => ({
+            product: getProduct(item),
+            quantity: item.quantity,
+          }))
+        ),
+      },
+      { session }
+    );
+
+    if (!shipping.available) {
+      throw new BadRequestError('We do not ship to this address yet.');
+    }
+  }
+
+  order.shippingCharge = shipping.charge;
+  order.shippingZone = shipping.zone?._id || null;
+};
+
+// Paid orders settle the difference through the customer's wallet
+const settleDifference = async (order, difference, session) => {
+  if (!canRefundOrder(order) || !difference) return 'none';
+
+  const modification = order.modifications.length + 1;
+  const reference = `order #${order._id.toString().slice(-6)}`;
+
+  if (difference > 0) {
+    await findUsableWallet(order.user, { session });
+
+    const wallet = await debitWallet(order.user, difference, {
+      referenceType: 'order',
+      referenceId: order._id,
+      idempotencyKey: `order-modification:${order._id}:${modification}`,
+      description: `Changes to ${reference}`,
+      session,
+    });
+    if (!wallet) {
+      throw new BadRequestError(
+        `Your wallet needs ₹${difference} to cover the changes to this order.`
+      );
+    }
+    // Recorded as a payment leg, so refunds send this part back to the wallet
+    order.paymentLegs.push({
+      method: 'Wallet',
+      amount: difference,
+      status: 'Paid',
+    });
+
+    return 'wallet-charge';
+  }
+
+  await issueRefund(order, {
+    amount: -difference,
+    refundTo: 'wallet',
+    description: `Refund for changes to ${reference}`,
+    idempotencyKey: `refund:${order._id}:modification-${modification}`,
+    session,
+  });
+
+  return 'wallet-refund';
+};
+
+/**
+ * Changes item quantities, adds items or swaps the shipping address of
+ * an order that is still processing, then reprices it. Items already in
+ * the order keep the price they were bought at. The difference is taken
+ * from, or refunded to, the wallet for paid orders, while Cash on
+ * Delivery orders simply owe the new amount. The change is logged on the
+ * order and the invoice, if any, reissued. The caller saves the order.
+ */
+export const applyOrderModification = async (
+  order,
+  { items = [], addItems = [], shippingAddress, actor, session } = {}
+) => {
+  const blocker = getModificationBlocker(order);
+  if (blocker) throw new BadRequestError(blocker);
+
+  const previousPrice = order.finalPrice;
+  const changes = [];
+
+  for (const update of items) {
+    const change = await changeItemQuantity(order, update, session);
+    if (change) changes.push(change);
+  }
+  for (const addition of addItems) {
+    changes.push(await addItem(order, addition, session));
+  }
+  if (shippingAddress) {
+    changes.push(await changeShippingAddress(order, shippingAddress, session));
+  }
+
+  if (!changes.length) {
+    throw new BadRequestError('There is nothing to change in this order.');
+  }
+
+  await recalculateCoupon(order, session);
+  await recalculateTaxAndShipping(order, session);
+
+  order.finalPrice = order.calculateFinalPrice();
+  const difference = roundPaise(order.finalPrice - previousPrice);
+  const settlement = await settleDifference(order, difference, session);
+
+  order.modifications.push({
+    changes,
+    previousPrice,
+    newPrice: order.finalPrice,
+    difference,
+    settlement,
+    actor: actor.id,
+    actorRole: actor.role,
+  });
+
+  if (canRefundOrder(order)) {
+    await assignOrderKeys(order, { actor, session });
+  }
+  await reissueInvoice(order, { reason: 'Order modified', session });
+
+  return order.modifications.at(-1);
+};
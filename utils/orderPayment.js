@@ -0,0 +1,168 @@
+import { commitOrderStock, releaseOrderStock } from './stockReservation.js';
+import { BadRequestError } from '../errors/index.js';
+import { issueOrderGiftCards } from './giftCards.js';
+import { issueInvoice } from './invoices.js';
+import { assignOrderKeys } from './gameKeys.js';
+import { recordStatusChange } from './orderHistory.js';
+import { captureWalletHold, debitWallet, releaseWalletHold } from './wallet.js';
+import { paymentProvider } from './payment/index.js';
+
+// Payments that went through, refunds included, must never be taken again
+const SETTLED_PAYMENT_STATUSES = ['Paid', 'Partially Refunded', 'Refunded'];
+
+export const isPaymentSettled = (order) =>
+  SETTLED_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+const findWalletLeg = (order, status) =>
+  order.paymentLegs?.find(
+    (leg) => leg.method === 'Wallet' && leg.status === status
+  );
+
+/**
+ * Ledger details for the wallet part of an order's payment. Keyed by order,
+ * so an order can only ever be charged to the wallet once.
+ */
+export const getPaymentPosting = (orderId, { session } = {}) => ({
+  referenceType: 'order',
+  referenceId: orderId,
+  idempotencyKey: `order-payment:${orderId}`,
+  description: `Payment for order #${orderId.toString().slice(-6)}`,
+  session,
+});
+
+/**
+ * Gives back the wallet balance held by an unpaid split payment.
+ */
+export const releaseWalletLegs = async (order, { session } = {}) => {
+  const heldLeg = findWalletLeg(order, 'Held');
+  if (heldLeg) {
+    await releaseWalletHold(order.user, heldLeg.amount, { session });
+  }
+  order.paymentLegs?.forEach((leg) => (leg.status = 'Released'));
+};
+
+/**
+ * Confirms payment for an order, turning its stock hold into a real
+ * decrement. Shared by the client verification and the gateway webhook,
+ * so it is a no-op for orders that are already paid.
+ */
+export const markOrderPaid = async (
+  order,
+  { paymentId, actor, reason = null, session } = {}
+) => {
+  if (isPaymentSettled(order)) return false;
+
+  await commitOrderStock(order, session);
+  await assignOrderKeys(order, { actor, session });
+
+  // Split payments only take the wallet part once the online part succeeds
+  const posting = getPaymentPosting(order._id, { session });
+  const heldLeg = findWalletLeg(order, 'Held');
+  const releasedLeg = findWalletLeg(order, 'Released');
+
+  let wallet = null;
+  if (heldLeg) {
+    wallet = await captureWalletHold(order.user, heldLeg.amount, posting);
+  } else if (releasedLeg) {
+    // A late capture after the hold expired, the wallet has to cover it again
+    wallet = await debitWallet(order.user, releasedLeg.amount, posting);
+  }
+  if ((heldLeg || releasedLeg) && !wallet) {
+    throw new BadRequestError(
+      'Insufficient wallet balance for the wallet part of this payment'
+    );
+  }
+  order.paymentLegs?.forEach((leg) => (leg.status = 'Paid'));
+  // Online payments record what the gateway captured, refunds are capped by it
+  if (
+    order.paymentMethod === 'Razorpay' &&
+    !order.paymentLegs.some((leg) => leg.method === 'Razorpay')
+  ) {
+    order.paymentLegs.push({
+      method: 'Razorpay',
+      amount: order.finalPrice,
+      status: 'Paid',
+    });
+  }
+  await issueOrderGiftCards(order, { session });
+
+  order.paymentStatus = 'Paid';
+  if (paymentId) order.razorpayPaymentId = paymentId;
+  recordStatusChange(order, {
+    scope: 'payment',
+    status: 'Paid',
+    actor,
+    reason,
+  });
+  await issueInvoice(order, { session });
+
+  await order.save({ session });
+  return true;
+};
+
+/**
+ * Handles a captured payment for an order that can no longer be fulfilled,
+ * e.g. its stock sold out after the hold expired. The payment is refunded
+ * in full, the items are cancelled and the order flagged for support.
+ * `amount` is in rupees. The caller saves the order.
+ */
+export const refundUnfulfillablePayment = async (
+  order,
+  { paymentId, amount, reason, session } = {}
+) => {
+  const refund = await paymentProvider.refund(
+    paymentId,
+    amount,
+    { orderId: order._id.toString() },
+    { idempotencyKey: `refund:${order._id}:unfulfillable` }
+  );
+
+  await releaseWalletLegs(order, { session });
+  // Released before the items are cancelled, cancelled items hold nothing
+  await releaseOrderStock(order, session);
+  order.orderItems.forEach((item) => (item.status = 'Cancelled'));
+
+  const processed = refund.status === 'processed';
+  order.refunds.push({
+    refundId: refund.id,
+    method: 'Razorpay',
+    amount,
+    status: processed ? 'processed' : 'pending',
+    processedAt: processed ? new Date() : null,
+  });
+  order.refundedAmount += amount;
+  order.razorpayPaymentId = paymentId;
+  order.paymentStatus = 'Refunded';
+  order.paymentIssue = reason;
+  recordStatusChange(order, {
+    scope: 'payment',
+    status: 'Refunded',
+    reason: `Payment captured but the order could not be fulfilled: ${reason}`,
+  });
+};
+
+/**
+ * Marks a pending payment as failed and gives its held stock, and any
+ * held wallet balance, back.
+ */
+export const markOrderPaymentFailed = async (
+  order,
+  { actor, reason = null, session } = {}
+) => {
+  if (order.paymentStatus !== 'Pending') return false;
+
+  await releaseOrderStock(order, session);
+
+  await releaseWalletLegs(order, { session });
+
+  order.paymentStatus = 'Failed';
+  recordStatusChange(order, {
+    scope: 'payment',
+    status: 'Failed',
+    actor,
+    reason,
+  });
+
+  await order.save({ session });
+  return true;
+};
@@ -0,0 +1,164 @@
+import PDFDocument from 'pdfkit';
+import { companyInfo } from './invoicePdf.js';
+import { getAmountToCollect, getPackableItems } from './orderExport.js';
+
+const drawPackingSlip = (doc, order) => {
+  // Header Section
+  let y = 45;
+  doc
+    .fillColor('#2c3e50')
+    .fontSize(20)
+    .font('Helvetica-Bold')
+    .text('PACKING SLIP', 300, y, { align: 'right' });
+
+  doc
+    .fontSize(10)
+    .fillColor('#666666')
+    .font('Helvetica')
+    .text(`Order: ${order._id.toString()}`, 300, y + 30, { align: 'right' })
+    .text(
+      `Placed: ${new Date(order.placedAt).toLocaleDateString('en-IN')}`,
+      300,
+      y + 45,
+      { align: 'right' }
+    );
+
+  // Return and shipping addresses
+  y = 120;
+  doc
+    .font('Helvetica-Bold')
+    .fillColor('#2c3e50')
+    .text('From:', 50, y)
+    .font('Helvetica')
+    .fillColor('#333333')
+    .text(companyInfo.name, 50, y + 15);
+  companyInfo.address.forEach((line, i) => {
+    doc.text(line, 50, y + 30 + i * 15);
+  });
+
+  const address = order.shippingAddress || {};
+  const shipToLines = [
+    order.user?.name || 'N/A',
+    address.addressLine || 'N/A',
+    `${address.city || 'N/A'}, ${address.state || 'N/A'} ${address.zip || ''}`,
+    address.country || '',
+    `Phone: ${order.user?.phoneNumber || 'N/A'}`,
+  ];
+
+  doc
+    .font('Helvetica-Bold')
+    .fillColor('#2c3e50')
+    .text('Ship To:', 300, y)
+    .font('Helvetica')
+    .fillColor('#333333');
+  shipToLines.forEach((line, i) => {
+    doc.text(line, 300, y + 15 + i * 15);
+  });
+
+  // Items Table, a box per line for the packer to tick
+  y = 240;
+  const columnWidths = [40, 300, 90, 70];
+  const alignments = ['center', 'left', 'left', 'right'];
+  const columnX = (i) =>
+    50 + columnWidths.slice(0, i).reduce((a, b) => a + b, 0) + 5;
+
+  doc
+    .rect(50, y, 500, 20)
+    .fill('#2c3e50')
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .fillColor('#ffffff');
+  ['Packed', 'Item', 'Platform', 'Qty'].forEach((text, i) => {
+    doc.text(text, columnX(i), y + 5, {
+      width: columnWidths[i] - 10,
+      align: alignments[i],
+    });
+  });
+
+  y += 25;
+  getPackableItems(order).forEach((item, index) => {
+    if (y > doc.page.height - 120) {
+      doc.addPage();
+      y = 50;
+    }
+
+    if (index % 2 === 0) {
+      doc.rect(50, y - 5, 500, 20).fill('#f8f9fa');
+    }
+
+    doc
+      .lineWidth(0.8)
+      .rect(65, y - 1, 10, 10)
+      .stroke('#333333');
+
+    const row = [
+      (item.product?.name || 'Product').substring(0, 55),
+      item.product?.platform || '',
+      item.quantity.toString(),
+    ];
+    row.forEach((text, i) => {
+      doc
+        .font('Helvetica')
+        .fontSize(9)
+        .fillColor('#333333')
+        .text(text, columnX(i + 1), y, {
+          width: columnWidths[i + 1] - 10,
+          align: alignments[i + 1],
+        });
+    });
+
+    y += 20;
+  });
+
+  // Payment, so the courier knows whether to collect anything
+  y += 20;
+  const amountToCollect = getAmountToCollect(order);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .fillColor('#2c3e50')
+    .text(`Payment Method: ${order.paymentMethod}`, 50, y)
+    .text(
+      amountToCollect
+        ? `Collect on Delivery: ₹${amountToCollect.toFixed(2)}`
+        : 'Prepaid, nothing to collect',
+      50,
+      y + 15
+    );
+
+  // Footer, kept above the bottom margin so it doesn't spill onto a new page
+  doc
+    .font('Helvetica')
+    .fontSize(8)
+    .fillColor('#666666')
+    .text('Thank you for shopping with us!', 50, doc.page.height - 70, {
+      align: 'center',
+    });
+};
+
+/**
+ * Renders a packing slip for each order, every one starting on a new
+ * page, into a single PDF buffer.
+ */
+export const renderPackingSlips = (orders) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      margin: 50,
+      size: 'A4',
+      layout: 'portrait',
+      font: 'Helvetica',
+      autoFirstPage: false,
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    orders.forEach((order) => {
+      doc.addPage();
+      drawPackingSlip(doc, order);
+    });
+
+    doc.end();
+  });
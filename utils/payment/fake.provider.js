@@ -0,0 +1,115 @@
+import { hmacSha256, signaturesMatch } from './signature.js';
+
+const FAKE_SECRET = process.env.FAKE_PAYMENT_SECRET || 'fake_secret';
+
+// In-process state, the ids are sequential so runs are reproducible
+const state = {
+  sequence: 0,
+  orders: new Map(),
+  payments: new Map(),
+  refunds: new Map(),
+};
+
+const nextId = (prefix) => `${prefix}_fake_${++state.sequence}`;
+
+/**
+ * Signs a payment the same way the gateway does, for tests and local
+ * clients that need to call the verification endpoints.
+ */
+export const signFakePayment = (orderId, paymentId) =>
+  hmacSha256(FAKE_SECRET, `${orderId}|${paymentId}`);
+
+/**
+ * Simulates the customer paying a fake order. Returns the captured
+ * payment together with a valid signature.
+ */
+export const captureFakePayment = (orderId) => {
+  const order = state.orders.get(orderId);
+  if (!order) throw new Error(`Unknown fake order: ${orderId}`);
+
+  const payment = {
+    id: nextId('pay'),
+    entity: 'payment',
+    order_id: orderId,
+    amount: order.amount,
+    amount_refunded: 0,
+    currency: order.currency,
+    status: 'captured',
+  };
+
+  state.payments.set(payment.id, payment);
+  order.status = 'paid';
+
+  return { payment, signature: signFakePayment(orderId, payment.id) };
+};
+
+export const resetFakeProvider = () => {
+  state.sequence = 0;
+  state.orders.clear();
+  state.payments.clear();
+  state.refunds.clear();
+};
+
+export const fakeProvider = {
+  name: 'fake',
+
+  createOrder: async (amount) => {
+    const order = {
+      id: nextId('order'),
+      entity: 'order',
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      status: 'created',
+    };
+
+    state.orders.set(order.id, order);
+    return { ...order };
+  },
+
+  verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+    signaturesMatch(signFakePayment(orderId, paymentId), signature),
+
+  verifyWebhookSignature: (rawBody, signature) =>
+    Boolean(rawBody) &&
+    signaturesMatch(hmacSha256(FAKE_SECRET, rawBody), signature),
+
+  refund: async (paymentId, amount, notes = {}, { idempotencyKey } = {}) => {
+    const payment = state.payments.get(paymentId);
+    if (!payment) throw new Error(`Unknown fake payment: ${paymentId}`);
+
+    if (idempotencyKey && state.refunds.has(idempotencyKey)) {
+      return { ...state.refunds.get(idempotencyKey) };
+    }
+
+    const refundAmount = Math.round(amount * 100);
+    if (payment.amount_refunded + refundAmount > payment.amount) {
+      throw new Error('Refund amount exceeds the captured amount.');
+    }
+
+    payment.amount_refunded += refundAmount;
+
+    const refund = {
+      id: nextId('rfnd'),
+      entity: 'refund',
+      payment_id: paymentId,
+      amount: refundAmount,
+      notes,
+      status: 'processed',
+    };
+    if (idempotencyKey) state.refunds.set(idempotencyKey, refund);
+
+    return { ...refund };
+  },
+
+  fetchPayment: async (paymentId) => {
+    const payment = state.payments.get(paymentId);
+    if (!payment) throw new Error(`Unknown fake payment: ${paymentId}`);
+
+    return { ...payment };
+  },
+
+  fetchOrderPayments: async (orderId) =>
+    [...state.payments.values()]
+      .filter((payment) => payment.order_id === orderId)
+      .map((payment) => ({ ...payment })),
+};
@@ -0,0 +1,32 @@
+import { fakeProvider } from './fake.provider.js';
+import { razorpayProvider } from './razorpay.provider.js';
+
+/**
+ * Every payment provider implements the same interface:
+ *
+ * - createOrder(amount)                  -> { id, amount, currency }
+ * - verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+ * - verifyWebhookSignature(rawBody, signature) -> boolean
+ * - refund(paymentId, amount, notes?, { idempotencyKey }?)
+ *                                        -> { id, amount, status }, the same
+ *                                           refund again for a repeated key
+ * - fetchPayment(paymentId)              -> { id, order_id, amount, status }
+ * - fetchOrderPayments(orderId)          -> [{ id, order_id, amount, status }]
+ *
+ * Amounts going in are in rupees, amounts coming back are in paise,
+ * matching the Razorpay API.
+ */
+const providers = {
+  razorpay: razorpayProvider,
+  fake: fakeProvider,
+};
+
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const provider = providers[name || 'razorpay'];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+export const paymentProvider = getPaymentProvider();
@@ -0,0 +1,75 @@
+import 'dotenv/config';
+import { v4 as uuid } from 'uuid';
+import Razorpay from 'razorpay';
+import { hmacSha256, signaturesMatch } from './signature.js';
+
+let client = null;
+
+// Created on first use so the fake provider runs without Razorpay keys
+const getClient = () => {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RZP_KEY_ID,
+      key_secret: process.env.RZP_SECRET_KEY,
+    });
+  }
+  return client;
+};
+
+export const razorpayProvider = {
+  name: 'razorpay',
+
+  createOrder: async (amount) => {
+    const options = {
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      receipt: `receipt_${uuid().replace(/-/g, '').slice(0, 20)}`,
+    };
+
+    return await getClient().orders.create(options);
+  },
+
+  verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+    signaturesMatch(
+      hmacSha256(process.env.RZP_SECRET_KEY, `${orderId}|${paymentId}`),
+      signature
+    ),
+
+  verifyWebhookSignature: (rawBody, signature) =>
+    Boolean(rawBody) &&
+    signaturesMatch(
+      hmacSha256(process.env.RZP_WEBHOOK_SECRET, rawBody),
+      signature
+    ),
+
+  // Refunds made through the SDK can't carry an idempotency header, so the
+  // key goes in the notes and an earlier refund with it is returned instead
+  refund: async (paymentId, amount, notes = {}, { idempotencyKey } = {}) => {
+    if (idempotencyKey) {
+      const { items } = await getClient().payments.fetchMultipleRefund(
+        paymentId,
+        { count: 100 }
+      );
+      const existing = items.find(
+        (refund) => refund.notes?.idempotency_key === idempotencyKey
+      );
+      if (existing) return existing;
+    }
+
+    return await getClient().payments.refund(paymentId, {
+      amount: Math.round(amount * 100),
+      notes: {
+        ...notes,
+        ...(idempotencyKey && { idempotency_key: idempotencyKey }),
+      },
+    });
+  },
+
+  fetchPayment: async (paymentId) =>
+    await getClient().payments.fetch(paymentId),
+
+  fetchOrderPayments: async (orderId) => {
+    const { items } = await getClient().orders.fetchPayments(orderId);
+    return items;
+  },
+};
@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+
+export const hmacSha256 = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of two hex signatures
+export const signaturesMatch = (expectedSignature, signature) => {
+  if (!expectedSignature || !signature) return false;
+
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(signature);
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
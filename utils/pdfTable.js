@@ -0,0 +1,50 @@
+/**
+ * Draws one row of a bordered table and returns its height. Pass
+ * `isHeader` in rowData for the dark header style.
+ */
+export const drawTableRow = (
+  doc,
+  y,
+  columnWidths,
+  rowData,
+  alignments = []
+) => {
+  const rowHeight = 18; // Compact row height
+  let x = 50;
+
+  // Draw row background
+  doc
+    .rect(50, y, doc.page.width - 100, rowHeight)
+    .fill(rowData.isHeader ? '#2c3e50' : '#ffffff');
+
+  rowData.data.forEach((data, index) => {
+    // Set text styling
+    doc
+      .fontSize(rowData.isHeader ? 9 : 8) // Smaller font sizes
+      .font(rowData.isHeader ? 'Helvetica-Bold' : 'Helvetica')
+      .fillColor(rowData.isHeader ? '#ffffff' : '#333333');
+
+    // Calculate text position with precise padding
+    const textX =
+      x + (alignments[index] === 'right' ? columnWidths[index] - 6 : 6);
+    const textY = y + rowHeight / 4;
+
+    // Render text with truncation
+    doc.text(data.toString(), textX, textY, {
+      width: columnWidths[index] - 12,
+      align: alignments[index] || 'left',
+      lineBreak: false,
+      ellipsis: true,
+    });
+
+    // Draw cell borders
+    doc
+      .lineWidth(0.3)
+      .rect(x, y, columnWidths[index], rowHeight)
+      .stroke('#e0e0e0');
+
+    x += columnWidths[index];
+  });
+
+  return rowHeight;
+};
@@ -0,0 +1,110 @@
+import Order from '../models/order.model.js';
+import { assignOrderKeys } from './gameKeys.js';
+import { recordStatusChange, SYSTEM_ACTOR } from './orderHistory.js';
+import { runInTransaction } from './runInTransaction.js';
+import { sendEmail } from './sendEmail.js';
+
+const PAID_STATUSES = ['Paid', 'Partially Refunded'];
+
+const isPaid = (order) => PAID_STATUSES.includes(order.paymentStatus);
+
+// Released pre-order items of an order, either the digital or the physical
+// ones, moved into processing. Digital items of paid orders get their keys
+// on release day, and stay pre-ordered until there are keys to give.
+const releaseOrderItems = async (orderId, releasedBy, { digital, session }) => {
+  const order = await Order.findById(orderId)
+    .populate('orderItems.product', 'name')
+    .session(session);
+
+  const releasedItems = order.orderItems.filter(
+    (item) =>
+      item.status === 'Pre-Ordered' &&
+      item.releaseDate <= releasedBy &&
+      Boolean(item.isDigital) === digital
+  );
+  if (!releasedItems.length) return { order, releasedItems };
+
+  for (const item of releasedItems) {
+    item.status = 'Pending';
+    recordStatusChange(order, {
+      scope: 'item',
+      status: 'Pending',
+      item,
+      actor: SYSTEM_ACTOR,
+      reason: 'Released',
+    });
+  }
+
+  if (digital && isPaid(order)) {
+    await assignOrderKeys(order, { actor: SYSTEM_ACTOR, session });
+  }
+
+  await order.save({ session });
+  return { order, releasedItems };
+};
+
+const notifyBuyer = async (order, releasedItems) => {
+  await order.populate('user', 'name email');
+  if (!order.user?.email) return;
+
+  const names = releasedItems
+    .map((item) => `<li>${item.product?.name || 'Game'}</li>`)
+    .join('');
+
+  await sendEmail(
+    order.user.email,
+    'Your GameStash pre-order is out!',
+    `<h3>Hi ${order.user.name}, release day is here!</h3>
+    <p>These games from order #${order._id.toString().slice(-6)} are now being processed:</p>
+    <ul>${names}</ul>`
+  );
+};
+
+/**
+ * Moves pre-order items whose release date has come into processing and
+ * lets their buyers know. Only paid and Cash on Delivery orders are
+ * released, unpaid checkouts are left to the reservation expiry. Physical
+ * items are released even when digital keys run short. Returns the number
+ * of orders released.
+ */
+export const releasePreOrders = async () => {
+  const releasedBy = new Date();
+
+  const orders = await Order.find({
+    $or: [
+      { paymentStatus: { $in: PAID_STATUSES } },
+      { paymentMethod: 'Cash on Delivery', paymentStatus: 'Pending' },
+    ],
+    orderItems: {
+      $elemMatch: { status: 'Pre-Ordered', releaseDate: { $lte: releasedBy } },
+    },
+  }).select('_id');
+
+  let releasedCount = 0;
+  for (const { _id } of orders) {
+    let order = null;
+    const releasedItems = [];
+
+    for (const digital of [false, true]) {
+      try {
+        const released = await runInTransaction((session) =>
+          releaseOrderItems(_id, releasedBy, { digital, session })
+        );
+        order = released.order;
+        releasedItems.push(...released.releasedItems);
+      } catch (error) {
+        console.log(`Error releasing pre-orders of order ${_id}:`, error);
+      }
+    }
+    if (!releasedItems.length) continue;
+    releasedCount++;
+
+    try {
+      await notifyBuyer(order, releasedItems);
+    } catch (error) {
+      console.log(`Error notifying buyer of order ${_id}:`, error);
+    }
+  }
+
+  return releasedCount;
+};
@@ -0,0 +1,122 @@
+import Order from '../models/order.model.js';
+import ReconciliationReport from '../models/reconciliationReport.model.js';
+import { paymentProvider } from './payment/index.js';
+import { runInTransaction } from './runInTransaction.js';
+import { markOrderPaid } from './orderPayment.js';
+
+// How far back each run looks, so a missed run is covered by the next one
+const LOOKBACK_DAYS = Number(process.env.RECONCILIATION_LOOKBACK_DAYS) || 3;
+
+const findCapturedPayment = (payments) =>
+  payments.find((payment) => payment.status === 'captured');
+
+const reconcileOrder = async (order) => {
+  const issue = {
+    order: order._id,
+    razorpayOrderId: order.razorpayOrderId,
+    paymentId: order.razorpayPaymentId,
+  };
+
+  // One order the gateway can't look up shouldn't stop the rest of the run
+  let payments;
+  try {
+    payments = await paymentProvider.fetchOrderPayments(order.razorpayOrderId);
+  } catch (error) {
+    return {
+      ...issue,
+      type: 'fetch-failed',
+      action: 'flagged',
+      detail: error.message,
+    };
+  }
+
+  const captured = findCapturedPayment(payments);
+  if (captured) issue.paymentId = captured.id;
+
+  if (order.paymentStatus === 'Paid') {
+    if (captured) return null;
+
+    return {
+      ...issue,
+      type: 'paid-without-capture',
+      action: 'flagged',
+      detail: 'Order is marked paid but the gateway has no captured payment.',
+    };
+  }
+
+  if (!captured) return null;
+
+  if (
+    order.orderItems.length &&
+    order.orderItems.every((item) => item.status === 'Cancelled')
+  ) {
+    return {
+      ...issue,
+      type: 'captured-not-recorded',
+      action: 'flagged',
+      detail: 'Order was cancelled, the captured payment needs a refund.',
+    };
+  }
+
+  // Customer was charged but the client never confirmed it
+  try {
+    await runInTransaction(async (session) => {
+      const current = await Order.findById(order._id).session(session);
+      await markOrderPaid(current, {
+        paymentId: captured.id,
+        reason: 'Payment reconciliation',
+        session,
+      });
+    });
+
+    return { ...issue, type: 'captured-not-recorded', action: 'fixed' };
+  } catch (error) {
+    return {
+      ...issue,
+      type: 'captured-not-recorded',
+      action: 'flagged',
+      detail: error.message,
+    };
+  }
+};
+
+/**
+ * Compares recent Razorpay orders with the gateway, fixing orders that were
+ * captured but left pending and flagging paid orders with no capture.
+ * Stores and returns the report.
+ */
+export const reconcilePayments = async () => {
+  const periodEnd = new Date();
+  const periodStart = new Date(periodEnd);
+  periodStart.setDate(periodStart.getDate() - LOOKBACK_DAYS);
+
+  const report = new ReconciliationReport({ periodStart, periodEnd });
+
+  try {
+    const orders = await Order.find({
+      paymentMethod: { $in: ['Razorpay', 'Split'] },
+      razorpayOrderId: { $ne: null },
+      paymentStatus: { $in: ['Pending', 'Failed', 'Paid'] },
+      placedAt: { $gte: periodStart, $lte: periodEnd },
+    }).select(
+      'razorpayOrderId razorpayPaymentId paymentStatus orderItems.status'
+    );
+
+    for (const order of orders) {
+      const issue = await reconcileOrder(order);
+      if (issue) report.issues.push(issue);
+    }
+
+    report.ordersChecked = orders.length;
+    report.fixedCount = report.issues.filter(
+      (issue) => issue.action === 'fixed'
+    ).length;
+    report.flaggedCount = report.issues.length - report.fixedCount;
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  await report.save();
+  return report;
+};
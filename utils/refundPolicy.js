@@ -0,0 +1,170 @@
+import { paymentProvider } from './payment/index.js';
+import { creditWallet, getRefundablePromotionalAmount } from './wallet.js';
+
+// Where the customer wants the money back, the wallet is only used on request
+export const REFUND_DESTINATIONS = ['original', 'wallet'];
+
+export const canRefundOrder = (order) =>
+  ['Paid', 'Partially Refunded'].includes(order.paymentStatus);
+
+/**
+ * Amount to give back for `quantity` units of an order item (all of them
+ * by default), less their share of the coupon.
+ */
+export const getItemRefundAmount = (order, item, quantity = item.quantity) => {
+  const price = (item.totalPrice * quantity) / item.quantity;
+  if (!order.couponDiscount || !order.totalAmount) return price;
+
+  const couponShare = (price / order.totalAmount) * order.couponDiscount;
+
+  return Math.round(price - couponShare);
+};
+
+// Orders paid before payment ids were stored can only be refunded to the wallet
+const refundsToGateway = (order, refundTo) =>
+  ['Razorpay', 'Split'].includes(order.paymentMethod) &&
+  Boolean(order.razorpayPaymentId) &&
+  refundTo !== 'wallet';
+
+const sumLegs = (order, method) =>
+  (order.paymentLegs || [])
+    .filter((leg) => leg.method === method && leg.status === 'Paid')
+    .reduce((sum, leg) => sum + leg.amount, 0);
+
+const sumRefunds = (order, method) =>
+  order.refunds
+    .filter((refund) => refund.method === method)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+// What the gateway captured. Orders paid before the online leg was recorded
+// fall back to everything charged that the wallet didn't pay.
+const getGatewayCaptured = (order) =>
+  order.paymentLegs?.some((leg) => leg.method === 'Razorpay')
+    ? sumLegs(order, 'Razorpay')
+    : Math.max(
+        0,
+        order.finalPrice + order.refundedAmount - sumLegs(order, 'Wallet')
+      );
+
+// Whatever the wallet paid, at checkout or for later order changes, goes
+// back to the wallet, whatever was asked. The share is taken from what was
+// charged, finalPrice shrinks with every cancellation, and never goes past
+// what the wallet paid.
+const getWalletShare = (order, amount) => {
+  const walletPaid = sumLegs(order, 'Wallet');
+  if (!walletPaid) return 0;
+
+  const chargedTotal = walletPaid + getGatewayCaptured(order);
+
+  return Math.max(
+    0,
+    Math.min(
+      amount,
+      Math.round((amount * walletPaid) / chargedTotal),
+      walletPaid - sumRefunds(order, 'Wallet')
+    )
+  );
+};
+
+/**
+ * Refunds an amount for an order, or one of its items, and records it on
+ * the order. Razorpay payments go back to the card/UPI they came from
+ * unless the customer asked for wallet credit. The caller saves the order.
+ */
+export const issueRefund = async (
+  order,
+  {
+    amount,
+    item = null,
+    refundTo = 'original',
+    description,
+    idempotencyKey,
+    session,
+  } = {}
+) => {
+  if (!(amount > 0)) return null;
+
+  const reference = `order ${order._id.toString().slice(-6)}`;
+  const refundKey =
+    idempotencyKey || `refund:${order._id}:${item?._id || 'order'}`;
+  const toGateway = refundsToGateway(order, refundTo);
+  // The gateway can't refund more than it captured, the rest goes to the wallet
+  const gatewayAmount = toGateway
+    ? Math.max(
+        0,
+        Math.min(
+          amount - getWalletShare(order, amount),
+          getGatewayCaptured(order) - sumRefunds(order, 'Razorpay')
+        )
+      )
+    : 0;
+  const walletAmount = amount - gatewayAmount;
+  const refunds = [];
+
+  if (gatewayAmount > 0) {
+    // Keyed, so a retry after this transaction aborts doesn't refund twice
+    const gatewayRefund = await paymentProvider.refund(
+      order.razorpayPaymentId,
+      gatewayAmount,
+      { orderId: order._id.toString(), itemId: item?._id?.toString() },
+      { idempotencyKey: refundKey }
+    );
+
+    const processed = gatewayRefund.status === 'processed';
+    refunds.push({
+      refundId: gatewayRefund.id,
+      method: 'Razorpay',
+      amount: gatewayAmount,
+      status: processed ? 'processed' : 'pending',
+      processedAt: processed ? new Date() : null,
+    });
+  }
+
+  if (walletAmount > 0) {
+    // Promotional credit spent on the order comes back as promotional credit
+    const promotionalAmount = await getRefundablePromotionalAmount(order._id, {
+      session,
+    });
+
+    await creditWallet(order.user, walletAmount, {
+      promotionalAmount,
+      referenceType: 'refund',
+      referenceId: order._id,
+      idempotencyKey: refundKey,
+      description: description || `Refund for ${reference}`,
+      session,
+    });
+
+    refunds.push({
+      method: 'Wallet',
+      amount: walletAmount,
+      status: 'processed',
+      processedAt: new Date(),
+    });
+  }
+
+  refunds.forEach((refund) =>
+    order.refunds.push({ ...refund, item: item?._id || null })
+  );
+  order.refundedAmount += amount;
+
+  return refunds[0];
+};
+
+// Shipping goes back only once every item is cancelled and nothing ships
+export const refundShippingCharge = async (
+  order,
+  { refundTo = 'original', session } = {}
+) => {
+  if (!canRefundOrder(order) || !(order.shippingCharge > 0)) return null;
+  if (!order.orderItems.every((item) => item.status === 'Cancelled'))
+    return null;
+
+  return issueRefund(order, {
+    amount: order.shippingCharge,
+    refundTo,
+    description: `Shipping refund for order ${order._id.toString().slice(-6)}`,
+    idempotencyKey: `refund:${order._id}:shipping`,
+    session,
+  });
+};
@@ -0,0 +1,232 @@
+import ReturnRequest from '../models/returnRequest.model.js';
+import Product from '../models/product.model.js';
+import { BadRequestError } from '../errors/index.js';
+import { issueCreditNote } from './invoices.js';
+import { revokeItemKeys } from './gameKeys.js';
+import { getItemRefundAmount, issueRefund } from './refundPolicy.js';
+import { recordStatusChange } from './orderHistory.js';
+
+// Days after delivery during which an item can be returned
+export const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+export const RETURN_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected'],
+  Approved: ['Pickup Scheduled', 'Rejected'],
+  'Pickup Scheduled': ['Received', 'Rejected'],
+  Received: ['Inspected'],
+  Inspected: ['Refunded', 'Rejected'],
+  Refunded: [],
+  Rejected: [],
+};
+
+export const OPEN_RETURN_STATUSES = Object.keys(RETURN_TRANSITIONS).filter(
+  (status) => RETURN_TRANSITIONS[status].length
+);
+
+// Items delivered before deliveredAt was recorded fall back to the order's
+// expected delivery date, or its last update
+export const getReturnDeadline = (order, item) => {
+  const deliveredAt = item.deliveredAt || order.deliveryBy || order.updatedAt;
+  if (!deliveredAt) return null;
+
+  const deadline = new Date(deliveredAt);
+  deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+  return deadline;
+};
+
+const updateOrderReturnStatus = (order) => {
+  const activeItems = order.orderItems.filter(
+    (item) => item.status !== 'Cancelled'
+  );
+
+  if (activeItems.every((item) => item.status === 'Returned')) {
+    order.orderStatus = 'Returned';
+  } else if (activeItems.some((item) => item.returnedQuantity > 0)) {
+    order.orderStatus = 'Partially Returned';
+  }
+};
+
+/**
+ * Opens a return for `quantity` units of a delivered order item. The
+ * caller saves the order.
+ */
+export const openReturn = async (
+  order,
+  item,
+  { quantity, reason, refundTo, photos = [], actor, session }
+) => {
+  if (item.status !== 'Delivered') {
+    throw new BadRequestError('Only delivered products can be returned.');
+  }
+
+  const deadline = getReturnDeadline(order, item);
+  if (!deadline || deadline < new Date()) {
+    throw new BadRequestError(
+      `Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery.`
+    );
+  }
+
+  const returnable = item.quantity - item.returnedQuantity;
+  const returnQuantity = quantity ?? returnable;
+  if (returnQuantity < 1 || returnQuantity > returnable) {
+    throw new BadRequestError(
+      `You can return up to ${returnable} unit(s) of this product.`
+    );
+  }
+
+  const openReturnExists = await ReturnRequest.exists({
+    order: order._id,
+    item: item._id,
+    status: { $in: OPEN_RETURN_STATUSES },
+  }).session(session);
+  if (openReturnExists) {
+    throw new BadRequestError(
+      'Return request for this product has already been initiated.'
+    );
+  }
+
+  const [returnRequest] = await ReturnRequest.create(
+    [
+      {
+        order: order._id,
+        user: order.user,
+        item: item._id,
+        product: item.product._id || item.product,
+        quantity: returnQuantity,
+        reason,
+        refundTo,
+        photos,
+        history: [
+          { status: 'Requested', note: reason, photos, by: order.user },
+        ],
+      },
+    ],
+    { session }
+  );
+
+  item.status = 'Return Requested';
+  recordStatusChange(order, {
+    scope: 'return',
+    status: 'Requested',
+    item,
+    actor,
+    reason,
+  });
+  item.returnRequest = {
+    requested: true,
+    reason,
+    refundTo,
+    approved: false,
+    responseSent: false,
+  };
+
+  return returnRequest;
+};
+
+/**
+ * Moves a return to its next stage. Inspected returns can put the units
+ * back in stock, refunded returns pay back their share of the item.
+ * Saves both the return and the order.
+ */
+export const advanceReturn = async (
+  returnRequest,
+  order,
+  {
+    status,
+    note = null,
+    photos = [],
+    pickupScheduledFor,
+    restock = false,
+    actor,
+    session,
+  }
+) => {
+  if (!RETURN_TRANSITIONS[returnRequest.status].includes(status)) {
+    throw new BadRequestError(
+      `Invalid return status transition from ${returnRequest.status} to ${status}.`
+    );
+  }
+
+  const item = order.orderItems.id(returnRequest.item);
+
+  if (status === 'Approved') {
+    item.returnRequest.approved = true;
+  }
+
+  if (status === 'Pickup Scheduled') {
+    if (!pickupScheduledFor) {
+      throw new BadRequestError('Pickup date is required to schedule pickup.');
+    }
+    returnRequest.pickupScheduledFor = pickupScheduledFor;
+  }
+
+  if (status === 'Inspected' && restock) {
+    await Product.updateOne(
+      { _id: returnRequest.product },
+      { $inc: { stock: returnRequest.quantity } },
+      { session }
+    );
+    returnRequest.restocked = true;
+  }
+
+  if (status === 'Refunded') {
+    const amount = getItemRefundAmount(order, item, returnRequest.quantity);
+
+    await issueRefund(order, {
+      amount,
+      item,
+      refundTo: returnRequest.refundTo,
+      description: 'Return amount',
+      idempotencyKey: `return:${returnRequest._id}`,
+      session,
+    });
+
+    returnRequest.refundAmount = amount;
+    item.returnedQuantity += returnRequest.quantity;
+    item.status =
+      item.returnedQuantity >= item.quantity ? 'Returned' : 'Delivered';
+    item.returnRequest.responseSent = true;
+
+    updateOrderReturnStatus(order);
+    await revokeItemKeys(item, {
+      quantity: returnRequest.quantity,
+      reason: 'Refunded on return',
+      session,
+    });
+    await issueCreditNote(order, {
+      lines: [{ item, quantity: returnRequest.quantity }],
+      reason: `Return of ${returnRequest.quantity} unit(s)`,
+      session,
+    });
+  }
+
+  if (status === 'Rejected') {
+    // Rejected units go back to the customer, take back an earlier restock
+    if (returnRequest.restocked) {
+      await Product.updateOne(
+        { _id: returnRequest.product },
+        { $inc: { stock: -returnRequest.quantity } },
+        { session }
+      );
+      returnRequest.restocked = false;
+    }
+    item.status = item.returnedQuantity ? 'Delivered' : 'Return Rejected';
+    item.returnRequest.approved = false;
+    item.returnRequest.responseSent = true;
+  }
+
+  returnRequest.status = status;
+  returnRequest.history.push({ status, note, photos, by: actor.id });
+  recordStatusChange(order, {
+    scope: 'return',
+    status,
+    item,
+    actor,
+    reason: note || null,
+  });
+
+  await returnRequest.save({ session });
+  await order.save({ session });
+
+  return returnRequest;
+};
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// Concurrent transactions touching the same document, like the invoice
+// counter, conflict and are safe to run again
+const MAX_ATTEMPTS = Number(process.env.TRANSACTION_MAX_ATTEMPTS) || 3;
+
+const hasLabel = (error, label) =>
+  Boolean(error?.hasErrorLabel?.(label) || error?.errorLabels?.includes(label));
+
+const commitWithRetry = async (session) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await session.commitTransaction();
+    } catch (error) {
+      if (
+        attempt >= MAX_ATTEMPTS ||
+        !hasLabel(error, 'UnknownTransactionCommitResult')
+      ) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Runs the callback inside a MongoDB transaction, committing on success
+ * and aborting on any thrown error. The session is passed to the callback
+ * so every read/write can be bound to it. Transient conflicts run the
+ * callback again, up to TRANSACTION_MAX_ATTEMPTS times.
+ */
+export const runInTransaction = async (callback) => {
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction();
+
+      try {
+        const result = await callback(session);
+
+        await commitWithRetry(session);
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+        if (
+          attempt >= MAX_ATTEMPTS ||
+          !hasLabel(error, 'TransientTransactionError')
+        ) {
+          throw error;
+        }
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,99 @@
+import ShippingZone from '../models/shippingZone.model.js';
+
+/**
+ * Every rate rule type has a calculator with the same signature:
+ *
+ * - (rule, { subtotal, weight }) -> charge in rupees
+ *
+ * Weights are in grams. The charges of a zone's rules add up, unless one
+ * of its free-above rules waives shipping for the subtotal.
+ */
+const rateCalculators = {
+  flat: (rule) => rule.amount,
+  weight: (rule, { weight }) =>
+    rule.amount + rule.perKg * Math.ceil(weight / 1000),
+};
+
+export const SHIPPING_RULE_TYPES = [
+  ...Object.keys(rateCalculators),
+  'free-above',
+];
+
+const normalise = (value = '') => value.trim().toLowerCase();
+
+// How specifically a zone covers an address, 0 when it doesn't
+const getMatchScore = (zone, address) => {
+  const country = normalise(address.country);
+  const state = normalise(address.state);
+  const zip = (address.zip || '').trim().toUpperCase();
+
+  if (zone.countries.length && !zone.countries.includes(country)) return 0;
+  if (zone.states.length && !zone.states.includes(state)) return 0;
+  if (
+    zone.zipPrefixes.length &&
+    !zone.zipPrefixes.some((prefix) => zip.startsWith(prefix))
+  )
+    return 0;
+
+  return (
+    1 +
+    (zone.countries.length ? 1 : 0) +
+    (zone.states.length ? 2 : 0) +
+    (zone.zipPrefixes.length ? 4 : 0)
+  );
+};
+
+export const calculateZoneCharge = (zone, parcel) => {
+  const waived = zone.rules.some(
+    (rule) => rule.type === 'free-above' && parcel.subtotal >= rule.threshold
+  );
+  if (waived) return 0;
+
+  const charge = zone.rules
+    .filter((rule) => rateCalculators[rule.type])
+    .reduce((sum, rule) => sum + rateCalculators[rule.type](rule, parcel), 0);
+
+  return Math.round(charge);
+};
+
+export const getParcelWeight = (items) =>
+  items.reduce(
+    (sum, item) => sum + (item.product?.weight || 0) * item.quantity,
+    0
+  );
+
+/**
+ * Shipping for a parcel going to an address, from the most specific
+ * active zone covering it. `available` is false when zones are set up
+ * but none of them covers the address. Nothing is charged until zones
+ * are configured.
+ */
+export const getShippingQuote = async (
+  address,
+  { subtotal, weight },
+  { session } = {}
+) => {
+  const zones = await ShippingZone.find({ isActive: true })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  if (!zones.length) return { available: true, zone: null, charge: 0 };
+
+  let bestZone = null;
+  let bestScore = 0;
+  for (const zone of zones) {
+    const score = getMatchScore(zone, address);
+    if (score > bestScore) {
+      bestZone = zone;
+      bestScore = score;
+    }
+  }
+
+  if (!bestZone) return { available: false, zone: null, charge: 0 };
+
+  return {
+    available: true,
+    zone: bestZone,
+    charge: calculateZoneCharge(bestZone, { subtotal, weight }),
+  };
+};
@@ -0,0 +1,148 @@
+import Product from '../models/product.model.js';
+import { BadRequestError } from '../errors/index.js';
+
+// Minutes a Razorpay checkout may hold units before the sweep releases them
+export const RESERVATION_WINDOW_MINUTES =
+  Number(process.env.STOCK_RESERVATION_MINUTES) || 15;
+
+// Aggregation expression for the units that can still be sold
+export const availableStockExpr = {
+  $max: [0, { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }],
+};
+
+export const getReservationExpiry = () =>
+  new Date(Date.now() + RESERVATION_WINDOW_MINUTES * 60 * 1000);
+
+// Adds availableStock to plain (lean) product objects
+export const withAvailableStock = (product) =>
+  product && {
+    ...product,
+    availableStock: Math.max(
+      0,
+      (product.stock || 0) - (product.reservedStock || 0)
+    ),
+  };
+
+const hasAvailableStock = (quantity) => ({
+  $expr: {
+    $gte: [
+      { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] },
+      quantity,
+    ],
+  },
+});
+
+const throwOutOfStock = (item) => {
+  throw new BadRequestError(
+    `Insufficient stock for product: ${item.product?.name || item.product}`
+  );
+};
+
+const activeItems = (order) =>
+  order.orderItems.filter((item) => item.status !== 'Cancelled');
+
+/**
+ * Holds units against a product without taking them out of stock.
+ * Returns false when fewer units than requested are available.
+ */
+export const reserveStock = async (productId, quantity, session) => {
+  const { modifiedCount } = await Product.updateOne(
+    { _id: productId, ...hasAvailableStock(quantity) },
+    { $inc: { reservedStock: quantity } },
+    { session }
+  );
+
+  return modifiedCount > 0;
+};
+
+/**
+ * Takes units out of stock directly, skipping units held by other checkouts.
+ * Returns false when fewer units than requested are available.
+ */
+export const decrementStock = async (productId, quantity, session) => {
+  const { modifiedCount } = await Product.updateOne(
+    { _id: productId, ...hasAvailableStock(quantity) },
+    { $inc: { stock: -quantity } },
+    { session }
+  );
+
+  return modifiedCount > 0;
+};
+
+/**
+ * Holds stock for every active item of the order and starts the
+ * reservation window. Throws when a product has run out meanwhile.
+ */
+export const holdOrderStock = async (order, session) => {
+  for (const item of activeItems(order)) {
+    const productId = item.product?._id || item.product;
+    const reserved = await reserveStock(productId, item.quantity, session);
+    if (!reserved) throwOutOfStock(item);
+  }
+
+  order.reservation = { status: 'Held', expiresAt: getReservationExpiry() };
+};
+
+/**
+ * Turns the hold into a real decrement once payment is confirmed. If the
+ * hold already expired the units are taken from whatever is still available.
+ */
+export const commitOrderStock = async (order, session) => {
+  const { status } = order.reservation || {};
+
+  if (status === 'Held') {
+    for (const item of activeItems(order)) {
+      await Product.updateOne(
+        { _id: item.product?._id || item.product },
+        { $inc: { stock: -item.quantity, reservedStock: -item.quantity } },
+        { session }
+      );
+    }
+  } else if (status === 'Released') {
+    for (const item of activeItems(order)) {
+      const productId = item.product?._id || item.product;
+      const taken = await decrementStock(productId, item.quantity, session);
+      if (!taken) throwOutOfStock(item);
+    }
+  }
+
+  order.reservation = { status: 'Committed', expiresAt: null };
+};
+
+/**
+ * Gives held units back to the pool, used on payment failure and expiry.
+ */
+export const releaseOrderStock = async (order, session) => {
+  if (order.reservation?.status !== 'Held') return;
+
+  for (const item of activeItems(order)) {
+    await Product.updateOne(
+      { _id: item.product?._id || item.product },
+      { $inc: { reservedStock: -item.quantity } },
+      { session }
+    );
+  }
+
+  order.reservation = { status: 'Released', expiresAt: null };
+};
+
+/**
+ * Puts a single cancelled item back, depending on whether its units were
+ * held, released or actually taken out of stock.
+ */
+export const restockOrderItem = async (order, item, session) => {
+  const { status } = order.reservation || {};
+  if (status === 'Released') return;
+
+  // Handed out keys are revoked, they can't be sold again
+  if (item.keys?.length) return;
+
+  const field = status === 'Held' ? 'reservedStock' : 'stock';
+  const delta = status === 'Held' ? -item.quantity : item.quantity;
+
+  await Product.updateOne(
+    { _id: item.product?._id || item.product },
+    { $inc: { [field]: delta } },
+    { session }
+  );
+};
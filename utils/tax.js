@@ -0,0 +1,105 @@
+import TaxRate from '../models/taxRate.model.js';
+
+// State the goods ship from, it decides between CGST/SGST and IGST
+export const GST_ORIGIN_STATE = process.env.GST_ORIGIN_STATE || '';
+
+// Used for products without a configured rate
+export const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE ?? 18);
+
+const normalise = (value = '') => value.trim().toLowerCase();
+
+const roundPaise = (amount) => Math.round(amount * 100) / 100;
+
+export const isIntraState = (address) =>
+  Boolean(GST_ORIGIN_STATE) &&
+  normalise(address.state) === normalise(GST_ORIGIN_STATE);
+
+// Exports are zero-rated
+const isDomestic = (address) =>
+  ['india', 'in'].includes(normalise(address.country));
+
+/**
+ * Active rates that could apply to the products going to an address,
+ * loaded once so each item can be resolved without another query.
+ */
+export const findTaxRates = async (products, address, { session } = {}) =>
+  TaxRate.find({
+    isActive: true,
+    $and: [
+      {
+        $or: [
+          { scope: 'product', target: { $in: products.map((p) => p._id) } },
+          { scope: 'genre', target: { $in: products.map((p) => p.genre) } },
+        ],
+      },
+      {
+        $or: [{ states: { $size: 0 } }, { states: normalise(address.state) }],
+      },
+    ],
+  })
+    .sort({ updatedAt: -1 })
+    .session(session);
+
+// Product over genre, a state-specific rate over one for every state
+export const resolveTaxRate = (product, rates) => {
+  const candidates = [
+    (rate) => rate.scope === 'product' && rate.states.length,
+    (rate) => rate.scope === 'product',
+    (rate) => rate.scope === 'genre' && rate.states.length,
+    (rate) => rate.scope === 'genre',
+  ];
+
+  for (const matchesLevel of candidates) {
+    const match = rates.find(
+      (rate) =>
+        matchesLevel(rate) &&
+        rate.target.equals(
+          rate.scope === 'product' ? product._id : product.genre
+        )
+    );
+    if (match) return match.rate;
+  }
+
+  return DEFAULT_GST_RATE;
+};
+
+/**
+ * Splits the GST out of a tax-inclusive amount. Within the origin state
+ * it is shared equally by CGST and SGST, otherwise it is all IGST.
+ */
+export const calculateItemTax = (amount, rate, address) => {
+  const appliedRate = isDomestic(address) ? rate : 0;
+
+  const taxableValue = roundPaise((amount * 100) / (100 + appliedRate));
+  const tax = roundPaise(amount - taxableValue);
+
+  if (!isIntraState(address)) {
+    return { rate: appliedRate, taxableValue, cgst: 0, sgst: 0, igst: tax };
+  }
+
+  const cgst = roundPaise(tax / 2);
+  return {
+    rate: appliedRate,
+    taxableValue,
+    cgst,
+    sgst: roundPaise(tax - cgst),
+    igst: 0,
+  };
+};
+
+// Tax of what the customer kept, cancelled and returned units excluded
+export const summariseOrderTax = (order) => {
+  const summary = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+
+  for (const item of order.orderItems) {
+    if (item.status === 'Cancelled' || !item.tax) continue;
+
+    const keptShare =
+      (item.quantity - (item.returnedQuantity || 0)) / item.quantity;
+    for (const key of Object.keys(summary)) {
+      summary[key] = roundPaise(summary[key] + item.tax[key] * keptShare);
+    }
+  }
+
+  return summary;
+};
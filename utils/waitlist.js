@@ -0,0 +1,171 @@
+import Product from '../models/product.model.js';
+import WaitlistEntry from '../models/waitlistEntry.model.js';
+import { runInTransaction } from './runInTransaction.js';
+import { sendEmail } from './sendEmail.js';
+import { reserveStock } from './stockReservation.js';
+
+// Minutes restocked units stay set aside for a waitlisted customer, 0 for no hold
+export const WAITLIST_HOLD_MINUTES =
+  Number(process.env.WAITLIST_HOLD_MINUTES) || 0;
+
+// Entries still in the queue or holding units
+export const ACTIVE_WAITLIST_STATUSES = ['waiting', 'held'];
+
+const notifyCustomer = async (entry, product) => {
+  await entry.populate('user', 'name email');
+  if (!entry.user?.email) return;
+
+  const hold = entry.holdExpiresAt
+    ? `<p>We've set ${entry.heldQuantity} aside for you until ${entry.holdExpiresAt.toLocaleString('en-IN')}.</p>`
+    : '<p>Stock is limited, so be quick!</p>';
+
+  await sendEmail(
+    entry.user.email,
+    `${product.name} is back in stock`,
+    `<h3>Hi ${entry.user.name}, ${product.name} is back in stock!</h3>${hold}`
+  );
+};
+
+/**
+ * Lets waiting customers know a product is available again, oldest first,
+ * until the available units are spoken for. With WAITLIST_HOLD_MINUTES
+ * set, their units are held for them for that long. Returns how many
+ * customers were notified.
+ */
+export const notifyWaitlist = async (productId) => {
+  const { product, entries } = await runInTransaction(async (session) => {
+    const product = await Product.findById(productId).session(session);
+    let available = product.availableStock;
+
+    const entries = [];
+    const waiting = await WaitlistEntry.find({
+      product: productId,
+      status: 'waiting',
+    })
+      .sort({ createdAt: 1 })
+      .session(session);
+
+    for (const entry of waiting) {
+      if (available <= 0) break;
+
+      const quantity = Math.min(entry.quantity, available);
+      entry.notifiedAt = new Date();
+
+      if (WAITLIST_HOLD_MINUTES > 0) {
+        if (!(await reserveStock(productId, quantity, session))) break;
+
+        entry.status = 'held';
+        entry.heldQuantity = quantity;
+        entry.holdExpiresAt = new Date(
+          Date.now() + WAITLIST_HOLD_MINUTES * 60 * 1000
+        );
+      } else {
+        entry.status = 'notified';
+      }
+
+      available -= quantity;
+      await entry.save({ session });
+      entries.push(entry);
+    }
+
+    return { product, entries };
+  });
+
+  for (const entry of entries) {
+    try {
+      await notifyCustomer(entry, product);
+    } catch (error) {
+      console.log(`Error notifying waitlist entry ${entry._id}:`, error);
+    }
+  }
+
+  return entries.length;
+};
+
+/**
+ * Units of a product a customer can still take, counting the units
+ * held for them off the waitlist on top of what's free for everyone.
+ */
+export const getStockAvailableTo = async (
+  product,
+  userId,
+  { session } = {}
+) => {
+  const entry = await WaitlistEntry.findOne({
+    user: userId,
+    product: product._id,
+    status: 'held',
+  }).session(session);
+
+  return product.availableStock + (entry?.heldQuantity || 0);
+};
+
+/**
+ * Gives a customer's held units back just before their checkout takes
+ * them, marking the entry fulfilled. No-op without a hold.
+ */
+export const claimWaitlistHold = async (
+  userId,
+  productId,
+  { session } = {}
+) => {
+  const entry = await WaitlistEntry.findOne({
+    user: userId,
+    product: productId,
+    status: 'held',
+  }).session(session);
+
+  if (entry) await endWaitlistEntry(entry._id, 'fulfilled', { session });
+};
+
+/**
+ * Ends an entry that is still waiting or holding units with `status`,
+ * giving back any held units. Conditional, so a hold can't be both
+ * claimed and expired. Returns the entry as it was, null if already over.
+ */
+export const endWaitlistEntry = async (entryId, status, { session } = {}) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, status: { $in: ACTIVE_WAITLIST_STATUSES } },
+    { $set: { status } },
+    { session }
+  );
+
+  if (entry?.status === 'held') {
+    await Product.updateOne(
+      { _id: entry.product },
+      { $inc: { reservedStock: -entry.heldQuantity } },
+      { session }
+    );
+  }
+
+  return entry;
+};
+
+/**
+ * Ends holds that ran out and passes their units on to the next
+ * customers in line. Returns how many holds expired.
+ */
+export const expireWaitlistHolds = async () => {
+  const expiredEntries = await WaitlistEntry.find({
+    status: 'held',
+    holdExpiresAt: { $lte: new Date() },
+  });
+
+  const productIds = new Set();
+  for (const entry of expiredEntries) {
+    try {
+      await runInTransaction((session) =>
+        endWaitlistEntry(entry._id, 'expired', { session })
+      );
+      productIds.add(entry.product.toString());
+    } catch (error) {
+      console.log(`Error expiring waitlist hold ${entry._id}:`, error);
+    }
+  }
+
+  for (const productId of productIds) {
+    await notifyWaitlist(productId);
+  }
+
+  return expiredEntries.length;
+};
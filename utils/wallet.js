@@ -0,0 +1,438 @@
+import Wallet from '../models/wallet.model.js';
+import { ForbiddenError } from '../errors/index.js';
+import WalletLedgerEntry from '../models/walletLedgerEntry.model.js';
+import PromotionalCredit from '../models/promotionalCredit.model.js';
+
+// Account on the other side of a wallet posting, by reference type
+const CONTRA_ACCOUNTS = {
+  order: 'sales',
+  refund: 'sales',
+  referral: 'referral-rewards',
+  'top-up': 'payment-gateway',
+  adjustment: 'adjustments',
+  'gift-card': 'gift-cards',
+};
+
+// Matches wallets whose balance, less any held amount, covers `amount`
+const hasAvailableBalance = (amount) => ({
+  $expr: {
+    $gte: [
+      { $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] },
+      amount,
+    ],
+  },
+});
+
+export const getAvailableBalance = (wallet) =>
+  wallet ? Math.max(0, wallet.balance - (wallet.heldBalance || 0)) : 0;
+
+/**
+ * Loads the user's wallet, rejecting wallets an admin has frozen.
+ */
+export const findUsableWallet = async (userId, { session } = {}) => {
+  const wallet = await Wallet.findOne({ userId }).session(session);
+
+  if (wallet?.isFrozen) {
+    throw new ForbiddenError(
+      'Your wallet has been frozen. Please contact support.'
+    );
+  }
+
+  return wallet;
+};
+
+// How long promotional credit, like referral rewards, can be spent
+export const PROMOTIONAL_CREDIT_EXPIRY_DAYS =
+  Number(process.env.PROMOTIONAL_CREDIT_EXPIRY_DAYS) || 90;
+
+const isPosted = async (idempotencyKey, session) =>
+  Boolean(
+    await WalletLedgerEntry.exists({
+      idempotencyKey,
+      account: 'wallet',
+    }).session(session)
+  );
+
+// Posts `amount` split over the promotional and cash buckets, each with
+// its own contra entry
+const postToLedger = async (
+  userId,
+  entryType,
+  { cash = 0, promotional = 0 },
+  {
+    referenceType,
+    referenceId = null,
+    idempotencyKey,
+    description,
+    createdBy = null,
+    contraAccount = CONTRA_ACCOUNTS[referenceType],
+    session,
+  }
+) => {
+  const entry = {
+    userId,
+    referenceType,
+    referenceId: referenceId?.toString() || null,
+    idempotencyKey,
+    description,
+    createdBy,
+  };
+
+  const entries = Object.entries({ cash, promotional })
+    .filter(([, amount]) => amount > 0)
+    .flatMap(([bucket, amount]) => [
+      { ...entry, amount, bucket, account: 'wallet', entryType },
+      {
+        ...entry,
+        amount,
+        bucket,
+        account: contraAccount,
+        entryType: entryType === 'credit' ? 'debit' : 'credit',
+      },
+    ]);
+
+  await WalletLedgerEntry.insertMany(entries, { session });
+};
+
+// Credit backing a held split payment is left until the hold is captured
+// or released, so the capture is still covered
+const expirePromotionalCredit = async (credit, session) => {
+  const wallet = await Wallet.findOne({ userId: credit.userId }).session(
+    session
+  );
+  const previous = credit.remaining;
+  const expiring = Math.min(previous, getAvailableBalance(wallet));
+  if (!expiring) return false;
+
+  credit.remaining = previous - expiring;
+  if (!credit.remaining) credit.status = 'expired';
+  await credit.save({ session });
+
+  await Wallet.updateOne(
+    { userId: credit.userId },
+    { $inc: { balance: -expiring, promotionalBalance: -expiring } },
+    { session }
+  );
+
+  await postToLedger(
+    credit.userId,
+    'debit',
+    { promotional: expiring },
+    {
+      referenceType: 'expiry',
+      referenceId: credit._id,
+      // A credit can expire in parts, what was left tells them apart
+      idempotencyKey: `expiry:${credit._id}:${previous}`,
+      description: 'Promotional credit expired',
+      contraAccount: CONTRA_ACCOUNTS[credit.referenceType] || 'adjustments',
+      session,
+    }
+  );
+  return true;
+};
+
+/**
+ * Expires the user's promotional credit that is past its date, or every
+ * user's when no user is given. Returns how many credits expired.
+ */
+export const expirePromotionalCredits = async ({ userId, session } = {}) => {
+  const credits = await PromotionalCredit.find({
+    ...(userId && { userId }),
+    status: 'active',
+    expiresAt: { $lte: new Date() },
+  }).session(session);
+
+  let expired = 0;
+  for (const credit of credits) {
+    if (await expirePromotionalCredit(credit, session)) expired++;
+  }
+
+  return expired;
+};
+
+// Uses up promotional credit, soonest to expire first, and returns how much
+const spendPromotionalCredit = async (userId, amount, session) => {
+  const credits = await PromotionalCredit.find({
+    userId,
+    status: 'active',
+  })
+    .sort({ expiresAt: 1 })
+    .session(session);
+
+  let spent = 0;
+  for (const credit of credits) {
+    if (spent >= amount) break;
+
+    const take = Math.min(credit.remaining, amount - spent);
+    credit.remaining -= take;
+    if (!credit.remaining) credit.status = 'spent';
+    await credit.save({ session });
+
+    spent += take;
+  }
+
+  if (spent) {
+    await Wallet.updateOne(
+      { userId },
+      { $inc: { promotionalBalance: -spent } },
+      { session }
+    );
+  }
+
+  return spent;
+};
+
+/**
+ * Adds money to the user's wallet, creating the wallet if needed. Pass
+ * `promotionalAmount` for the part that is promotional credit, it expires
+ * after PROMOTIONAL_CREDIT_EXPIRY_DAYS. Posting the same idempotency key
+ * again returns the wallet unchanged.
+ */
+export const creditWallet = async (userId, amount, posting = {}) => {
+  const { idempotencyKey, promotionalAmount = 0, session } = posting;
+
+  if (await isPosted(idempotencyKey, session)) {
+    return await Wallet.findOne({ userId }).session(session);
+  }
+
+  const promotional = Math.min(promotionalAmount, amount);
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { userId },
+    { $inc: { balance: amount, promotionalBalance: promotional } },
+    { upsert: true, new: true, session }
+  );
+
+  if (promotional) {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + PROMOTIONAL_CREDIT_EXPIRY_DAYS);
+
+    await PromotionalCredit.create(
+      [
+        {
+          userId,
+          amount: promotional,
+          remaining: promotional,
+          expiresAt,
+          referenceType: posting.referenceType,
+          referenceId: posting.referenceId?.toString() || null,
+          idempotencyKey,
+        },
+      ],
+      { session }
+    );
+  }
+
+  await postToLedger(
+    userId,
+    'credit',
+    { cash: amount - promotional, promotional },
+    posting
+  );
+  return wallet;
+};
+
+/**
+ * Takes money out of the wallet, promotional credit first. Returns null
+ * when the available balance doesn't cover the amount.
+ */
+export const debitWallet = async (userId, amount, posting = {}) => {
+  const { idempotencyKey, session } = posting;
+
+  if (await isPosted(idempotencyKey, session)) {
+    return await Wallet.findOne({ userId }).session(session);
+  }
+
+  await expirePromotionalCredits({ userId, session });
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { userId, ...hasAvailableBalance(amount) },
+    { $inc: { balance: -amount } },
+    { new: true, session }
+  );
+  if (!wallet) return null;
+
+  const promotional = await spendPromotionalCredit(userId, amount, session);
+  await postToLedger(
+    userId,
+    'debit',
+    { cash: amount - promotional, promotional },
+    posting
+  );
+
+  return await Wallet.findById(wallet._id).session(session);
+};
+
+/**
+ * Sets aside part of the balance for a payment that is still in flight.
+ * Returns false when the available balance doesn't cover the amount.
+ */
+export const holdWalletBalance = async (userId, amount, { session } = {}) => {
+  await expirePromotionalCredits({ userId, session });
+
+  const { modifiedCount } = await Wallet.updateOne(
+    { userId, ...hasAvailableBalance(amount) },
+    { $inc: { heldBalance: amount } },
+    { session }
+  );
+
+  return modifiedCount > 0;
+};
+
+/**
+ * Debits a previously held amount once the rest of the payment succeeds,
+ * promotional credit first. Returns null when the balance no longer
+ * covers the amount.
+ */
+export const captureWalletHold = async (userId, amount, posting = {}) => {
+  const { idempotencyKey, session } = posting;
+
+  if (await isPosted(idempotencyKey, session)) {
+    return await Wallet.findOne({ userId }).session(session);
+  }
+
+  const { modifiedCount } = await Wallet.updateOne(
+    { userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount, heldBalance: -amount } },
+    { session }
+  );
+  if (!modifiedCount) return null;
+
+  const promotional = await spendPromotionalCredit(userId, amount, session);
+  await postToLedger(
+    userId,
+    'debit',
+    { cash: amount - promotional, promotional },
+    posting
+  );
+
+  return await Wallet.findOne({ userId }).session(session);
+};
+
+/**
+ * Gives a held amount back to the available balance.
+ */
+export const releaseWalletHold = async (userId, amount, { session } = {}) => {
+  await Wallet.updateOne(
+    { userId },
+    { $inc: { heldBalance: -amount } },
+    { session }
+  );
+};
+
+/**
+ * How much of an order's wallet payment was promotional credit and has
+ * not been given back yet, so refunds return it as promotional credit.
+ */
+export const getRefundablePromotionalAmount = async (
+  orderId,
+  { session } = {}
+) => {
+  const entries = await WalletLedgerEntry.find({
+    account: 'wallet',
+    bucket: 'promotional',
+    referenceType: { $in: ['order', 'refund'] },
+    referenceId: orderId.toString(),
+  })
+    .select('entryType amount')
+    .session(session);
+
+  const refundable = entries.reduce(
+    (sum, entry) =>
+      sum + (entry.entryType === 'debit' ? entry.amount : -entry.amount),
+    0
+  );
+
+  return Math.max(0, refundable);
+};
+
+/**
+ * Lists wallets whose stored balance doesn't match the sum of their
+ * ledger entries, including ledger totals with no wallet behind them.
+ */
+export const findWalletDrift = async () => {
+  const ledgerTotals = await WalletLedgerEntry.aggregate([
+    { $match: { account: 'wallet' } },
+    {
+      $group: {
+        _id: '$userId',
+        ledgerBalance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$entryType', 'credit'] },
+              '$amount',
+              { $multiply: ['$amount', -1] },
+            ],
+          },
+        },
+        ledgerPromotionalBalance: {
+          $sum: {
+            $cond: [
+              { $ne: ['$bucket', 'promotional'] },
+              0,
+              {
+                $cond: [
+                  { $eq: ['$entryType', 'credit'] },
+                  '$amount',
+                  { $multiply: ['$amount', -1] },
+                ],
+              },
+            ],
+          },
+        },
+        entries: { $sum: 1 },
+      },
+    },
+  ]);
+  const totalsByUser = new Map(
+    ledgerTotals.map((total) => [total._id.toString(), total])
+  );
+
+  const wallets = await Wallet.find()
+    .select('userId balance promotionalBalance')
+    .lean();
+  const drift = [];
+
+  for (const wallet of wallets) {
+    const userId = wallet.userId.toString();
+    const total = totalsByUser.get(userId);
+    totalsByUser.delete(userId);
+
+    const ledgerBalance = total?.ledgerBalance || 0;
+    const ledgerPromotionalBalance = total?.ledgerPromotionalBalance || 0;
+    const storedPromotionalBalance = wallet.promotionalBalance || 0;
+    if (
+      Math.abs(wallet.balance - ledgerBalance) < 0.01 &&
+      Math.abs(storedPromotionalBalance - ledgerPromotionalBalance) < 0.01
+    )
+      continue;
+
+    drift.push({
+      userId,
+      walletId: wallet._id,
+      storedBalance: wallet.balance,
+      ledgerBalance,
+      difference: wallet.balance - ledgerBalance,
+      storedPromotionalBalance,
+      ledgerPromotionalBalance,
+      entries: total?.entries || 0,
+    });
+  }
+
+  for (const [userId, total] of totalsByUser) {
+    if (Math.abs(total.ledgerBalance) < 0.01) continue;
+
+    drift.push({
+      userId,
+      walletId: null,
+      storedBalance: 0,
+      ledgerBalance: total.ledgerBalance,
+      difference: -total.ledgerBalance,
+      storedPromotionalBalance: 0,
+      ledgerPromotionalBalance: total.ledgerPromotionalBalance,
+      entries: total.entries,
+    });
+  }
+
+  return drift;
+};
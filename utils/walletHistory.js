@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import { endOfDay, startOfDay } from 'date-fns';
+import WalletLedgerEntry from '../models/walletLedgerEntry.model.js';
+import WalletTopUp from '../models/walletTopUp.model.js';
+import { BadRequestError } from '../errors/index.js';
+
+// Cursors are the createdAt and _id of the last item, newest first
+const encodeCursor = (item) =>
+  Buffer.from(`${item.createdAt.getTime()}_${item._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+
+  if (!Number(time) || !mongoose.isValidObjectId(id)) {
+    throw new BadRequestError('Invalid cursor.');
+  }
+
+  return { createdAt: new Date(Number(time)), _id: id };
+};
+
+const beforeCursor = (cursor) => {
+  if (!cursor) return {};
+
+  const { createdAt, _id } = decodeCursor(cursor);
+  return {
+    $or: [
+      { createdAt: { $lt: createdAt } },
+      { createdAt, _id: { $lt: new mongoose.Types.ObjectId(_id) } },
+    ],
+  };
+};
+
+const dateRange = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) return {};
+
+  return {
+    createdAt: {
+      ...(startDate && { $gte: startOfDay(startDate) }),
+      ...(endDate && { $lte: endOfDay(endDate) }),
+    },
+  };
+};
+
+const fromLedgerEntry = (entry) => ({
+  _id: entry._id,
+  type: entry.entryType,
+  amount: entry.amount,
+  bucket: entry.bucket,
+  status: 'completed',
+  description: entry.description,
+  referenceType: entry.referenceType,
+  referenceId: entry.referenceId,
+  createdBy: entry.createdBy,
+  createdAt: entry.createdAt,
+});
+
+const fromTopUp = (topUp) => ({
+  _id: topUp._id,
+  type: 'credit',
+  amount: topUp.amount,
+  status: topUp.status,
+  description: 'Money added to wallet',
+  referenceType: 'top-up',
+  referenceId: topUp.razorpayOrderId,
+  createdAt: topUp.createdAt,
+});
+
+/**
+ * Lists a user's wallet transactions, newest first. Completed movements
+ * come from the ledger; top-ups that are still pending or that failed
+ * never reach it, so they are read from WalletTopUp and merged in.
+ * A limit of 0 returns everything that matches.
+ */
+export const findWalletTransactions = async (
+  userId,
+  { type, status, referenceType, orderId, startDate, endDate } = {},
+  { cursor, limit = 0 } = {}
+) => {
+  const shared = {
+    userId,
+    ...dateRange({ startDate, endDate }),
+    ...beforeCursor(cursor),
+  };
+  const sort = { createdAt: -1, _id: -1 };
+  // One extra item tells whether there is a next page
+  const fetchLimit = limit ? limit + 1 : 0;
+
+  const includeLedger = !status || status === 'completed';
+  const includeTopUps =
+    status !== 'completed' &&
+    type !== 'debit' &&
+    !orderId &&
+    (!referenceType || referenceType === 'top-up');
+
+  const [entries, topUps] = await Promise.all([
+    includeLedger
+      ? WalletLedgerEntry.find({
+          ...shared,
+          account: 'wallet',
+          ...(type && { entryType: type }),
+          ...(referenceType && { referenceType }),
+          ...(orderId && {
+            referenceType: { $in: ['order', 'refund'] },
+            referenceId: orderId,
+          }),
+        })
+          .sort(sort)
+          .limit(fetchLimit)
+          .lean()
+      : [],
+    includeTopUps
+      ? WalletTopUp.find({
+          ...shared,
+          status: status || { $in: ['pending', 'failed'] },
+        })
+          .sort(sort)
+          .limit(fetchLimit)
+          .lean()
+      : [],
+  ]);
+
+  const transactions = [
+    ...entries.map(fromLedgerEntry),
+    ...topUps.map(fromTopUp),
+  ].sort(
+    (a, b) =>
+      b.createdAt - a.createdAt ||
+      b._id.toString().localeCompare(a._id.toString())
+  );
+
+  if (!limit || transactions.length <= limit) {
+    return { transactions, nextCursor: null };
+  }
+
+  const page = transactions.slice(0, limit);
+  return { transactions: page, nextCursor: encodeCursor(page.at(-1)) };
+};
+
+/**
+ * Wallet balance from the ledger as it stood just before `date`.
+ */
+export const getLedgerBalanceAt = async (userId, date) => {
+  const [total] = await WalletLedgerEntry.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        account: 'wallet',
+        createdAt: { $lt: date },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$entryType', 'credit'] },
+              '$amount',
+              { $multiply: ['$amount', -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return total?.balance || 0;
+};
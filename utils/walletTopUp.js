@@ -0,0 +1,42 @@
+import WalletTopUp from '../models/walletTopUp.model.js';
+import { creditWallet } from './wallet.js';
+
+/**
+ * Credits a pending wallet top-up once its Razorpay payment is captured.
+ * Returns the updated wallet, or null when no pending top-up matches.
+ */
+export const completeWalletTopUp = async (
+  razorpayOrderId,
+  { paymentId, session } = {}
+) => {
+  const topUp = await WalletTopUp.findOneAndUpdate(
+    { razorpayOrderId, status: 'pending' },
+    { status: 'completed', razorpayPaymentId: paymentId },
+    { new: true, session }
+  );
+  if (!topUp) return null;
+
+  return await creditWallet(topUp.userId, topUp.amount, {
+    referenceType: 'top-up',
+    referenceId: razorpayOrderId,
+    idempotencyKey: `top-up:${razorpayOrderId}`,
+    description: 'Money added to wallet',
+    session,
+  });
+};
+
+/**
+ * Marks a pending wallet top-up as failed.
+ */
+export const failWalletTopUp = async (
+  razorpayOrderId,
+  { paymentId, session } = {}
+) => {
+  const { modifiedCount } = await WalletTopUp.updateOne(
+    { razorpayOrderId, status: 'pending' },
+    { status: 'failed', razorpayPaymentId: paymentId },
+    { session }
+  );
+
+  return modifiedCount > 0;
+};
@@ -45,6 +45,19 @@ export const productSchema = Joi.object({
     'number.min': 'Stock cannot be negative',
     'any.required': '{{#label}} cannot be empty',
   }),
+  weight: Joi.number().min(0).default(0).messages({
+    'number.base': 'Weight must be a number',
+    'number.min': 'Weight cannot be negative',
+  }),
+  isDigital: Joi.boolean().default(false).messages({
+    'boolean.base': 'isDigital must be a boolean value',
+  }),
+  releaseDate: Joi.date().allow(null).default(null).messages({
+    'date.base': 'Release date must be a valid date',
+  }),
+  preOrder: Joi.boolean().default(false).messages({
+    'boolean.base': 'preOrder must be a boolean value',
+  }),
   description: Joi.string().min(10).required().messages({
     'string.empty': 'Description cannot be empty',
     'string.min': 'Description must be at least 10 characters long',
@@ -121,6 +134,19 @@ export const editProductSchema = Joi.object({
     'number.min': 'Stock cannot be negative.',
   }),
 
+  weight: Joi.number().min(0).messages({
+    'number.base': 'Weight must be a number.',
+    'number.min': 'Weight cannot be negative.',
+  }),
+
+  releaseDate: Joi.date().allow(null).messages({
+    'date.base': 'Release date must be a valid date.',
+  }),
+
+  preOrder: Joi.boolean().messages({
+    'boolean.base': 'preOrder must be a boolean value.',
+  }),
+
   description: Joi.string().messages({
     'string.empty': 'Description cannot be empty.',
   }),
@@ -475,3 +501,305 @@ export const editCouponSchema = Joi.object({
     'boolean.base': 'isActive must be a boolean value',
   }),
 });
+
+// Manual wallet adjustment schema
+export const walletAdjustmentSchema = Joi.object({
+  type: Joi.string().valid('credit', 'debit').required().messages({
+    'any.only': 'Adjustment type must be credit or debit',
+    'any.required': 'Adjustment type is required',
+  }),
+  amount: Joi.number().positive().precision(2).required().messages({
+    'number.base': 'Amount must be a number',
+    'number.positive': 'Amount must be a positive number',
+    'number.precision': 'Amount can have at most two decimal places',
+    'any.required': 'Amount is required',
+  }),
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'string.empty': 'A reason is required for wallet adjustments',
+    'string.min': 'Reason must be at least 3 characters long',
+    'string.max': 'Reason must not exceed 500 characters',
+    'any.required': 'A reason is required for wallet adjustments',
+  }),
+  idempotencyKey: Joi.string().trim().max(100).optional(),
+});
+
+// Wallet freeze schema
+export const walletFreezeSchema = Joi.object({
+  frozen: Joi.boolean().required().messages({
+    'boolean.base': 'frozen must be a boolean value',
+    'any.required': 'frozen is required',
+  }),
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .when('frozen', {
+      is: true,
+      then: Joi.required(),
+      otherwise: Joi.optional().allow(''),
+    })
+    .messages({
+      'string.empty': 'A reason is required to freeze a wallet',
+      'string.max': 'Reason must not exceed 500 characters',
+      'any.required': 'A reason is required to freeze a wallet',
+    }),
+});
+
+// Gift card batch schema
+export const giftCardBatchSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(1000).required().messages({
+    'number.base': 'Count must be a number',
+    'number.integer': 'Count must be an integer',
+    'number.min': 'At least one gift card must be generated',
+    'number.max': 'At most 1000 gift cards can be generated at once',
+    'any.required': 'Count is required',
+  }),
+  value: Joi.number().integer().min(1).required().messages({
+    'number.base': 'Value must be a number',
+    'number.integer': 'Value must be a whole amount',
+    'number.min': 'Value must be at least 1',
+    'any.required': 'Value is required',
+  }),
+  expiresAt: Joi.date().greater('now').required().messages({
+    'date.base': 'Expiry must be a valid date',
+    'date.greater': 'Expiry must be in the future',
+    'any.required': 'Expiry is required',
+  }),
+});
+
+// Return stage update schema
+export const returnUpdateSchema = Joi.object({
+  status: Joi.string()
+    .valid(
+      'Approved',
+      'Pickup Scheduled',
+      'Received',
+      'Inspected',
+      'Refunded',
+      'Rejected'
+    )
+    .required()
+    .messages({
+      'any.only':
+        'Status must be one of Approved, Pickup Scheduled, Received, Inspected, Refunded or Rejected',
+      'any.required': 'Status is required',
+    }),
+  note: Joi.string().trim().max(1000).allow('').optional().messages({
+    'string.max': 'Note must not exceed 1000 characters',
+  }),
+  photos: Joi.array().items(Joi.string().uri()).max(10).default([]).messages({
+    'string.uri': 'Each photo must be a valid URL',
+    'array.max': 'At most 10 photos can be attached',
+  }),
+  pickupScheduledFor: Joi.date()
+    .when('status', {
+      is: 'Pickup Scheduled',
+      then: Joi.required(),
+    })
+    .messages({
+      'date.base': 'Pickup date must be a valid date',
+      'any.required': 'Pickup date is required to schedule pickup',
+    }),
+  restock: Joi.boolean().default(false).messages({
+    'boolean.base': 'restock must be a boolean value',
+  }),
+});
+
+// Shipment schema
+export const shipmentSchema = Joi.object({
+  items: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'A shipment must include at least one item',
+      'array.unique': 'An item can only be listed once',
+      'string.hex': 'Invalid order item ID',
+      'string.length': 'Invalid order item ID',
+      'any.required': 'Shipment items are required',
+    }),
+  carrier: Joi.string().trim().max(100).required().messages({
+    'string.empty': 'Carrier cannot be empty',
+    'any.required': 'Carrier is required',
+  }),
+  trackingNumber: Joi.string().trim().max(100).required().messages({
+    'string.empty': 'Tracking number cannot be empty',
+    'any.required': 'Tracking number is required',
+  }),
+  trackingUrl: Joi.string().uri().optional().allow(null, '').messages({
+    'string.uri': 'Tracking URL must be a valid URL',
+  }),
+  estimatedDelivery: Joi.date().greater('now').required().messages({
+    'date.base': 'Estimated delivery must be a valid date',
+    'date.greater': 'Estimated delivery must be in the future',
+    'any.required': 'Estimated delivery is required',
+  }),
+});
+
+// Shipping zone rate rule schema
+const rateRuleSchema = Joi.object({
+  type: Joi.string().valid('flat', 'weight', 'free-above').required().messages({
+    'any.only': 'Rule type must be flat, weight or free-above',
+    'any.required': 'Rule type is required',
+  }),
+  amount: Joi.number().min(0).default(0).messages({
+    'number.base': 'Rule amount must be a number',
+    'number.min': 'Rule amount cannot be negative',
+  }),
+  perKg: Joi.when('type', {
+    is: 'weight',
+    then: Joi.number().positive().required(),
+    otherwise: Joi.forbidden(),
+  }).messages({
+    'number.base': 'Per kg rate must be a number',
+    'number.positive': 'Per kg rate must be a positive number',
+    'any.required': 'Weight-based rules need a per kg rate',
+    'any.unknown': 'Only weight-based rules have a per kg rate',
+  }),
+  threshold: Joi.when('type', {
+    is: 'free-above',
+    then: Joi.number().min(0).required(),
+    otherwise: Joi.forbidden(),
+  }).messages({
+    'number.base': 'Threshold must be a number',
+    'number.min': 'Threshold cannot be negative',
+    'any.required': 'Free-above rules need a threshold',
+    'any.unknown': 'Only free-above rules have a threshold',
+  }),
+});
+
+// Shipping zone schema
+export const shippingZoneSchema = Joi.object({
+  name: Joi.string().trim().max(100).required().messages({
+    'string.empty': 'Zone name cannot be empty',
+    'any.required': 'Zone name is required',
+  }),
+  countries: Joi.array().items(Joi.string().trim()).default([]),
+  states: Joi.array().items(Joi.string().trim()).default([]),
+  zipPrefixes: Joi.array()
+    .items(Joi.string().trim().max(10))
+    .default([])
+    .messages({
+      'string.max': 'ZIP prefixes can be at most 10 characters',
+    }),
+  rules: Joi.array().items(rateRuleSchema).min(1).required().messages({
+    'array.min': 'A zone needs at least one rate rule',
+    'any.required': 'Rate rules are required',
+  }),
+  isActive: Joi.boolean().default(true).messages({
+    'boolean.base': 'isActive must be a boolean value',
+  }),
+});
+
+// Tax rate schema
+export const taxRateSchema = Joi.object({
+  scope: Joi.string().valid('genre', 'product').required().messages({
+    'any.only': 'Scope must be genre or product',
+    'any.required': 'Scope is required',
+  }),
+  target: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Invalid genre or product ID',
+    'string.length': 'Invalid genre or product ID',
+    'any.required': 'Genre or product is required',
+  }),
+  rate: Joi.number().min(0).max(100).required().messages({
+    'number.base': 'Rate must be a number',
+    'number.min': 'Rate cannot be negative',
+    'number.max': 'Rate cannot exceed 100',
+    'any.required': 'Rate is required',
+  }),
+  states: Joi.array().items(Joi.string().trim()).default([]),
+  isActive: Joi.boolean().default(true).messages({
+    'boolean.base': 'isActive must be a boolean value',
+  }),
+});
+
+// Admin order search and filter query schema
+export const orderFilterSchema = Joi.object({
+  orderStatus: Joi.string()
+    .valid(
+      'Processing',
+      'Shipped',
+      'Delivered',
+      'Cancelled',
+      'Returned',
+      'Return Requested',
+      'Partially Cancelled',
+      'Partially Returned',
+      'Partially Delivered'
+    )
+    .messages({
+      'any.only': 'Order status is not valid',
+    }),
+  paymentStatus: Joi.string()
+    .valid('Pending', 'Paid', 'Failed', 'Partially Refunded', 'Refunded')
+    .messages({
+      'any.only': 'Payment status is not valid',
+    }),
+  paymentMethod: Joi.string()
+    .valid('Wallet', 'Cash on Delivery', 'Razorpay', 'Split')
+    .messages({
+      'any.only':
+        'Payment method must be one of Wallet, Cash on Delivery, Razorpay or Split',
+    }),
+  startDate: Joi.date().iso().messages({
+    'date.format': 'Start date must be a valid date',
+  }),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).messages({
+    'date.format': 'End date must be a valid date',
+    'date.min': 'End date cannot be before the start date',
+  }),
+  email: Joi.string().trim().max(100).messages({
+    'string.max': 'Email must not exceed 100 characters',
+  }),
+  product: Joi.string().hex().length(24).messages({
+    'string.hex': 'Invalid product ID',
+    'string.length': 'Invalid product ID',
+  }),
+  couponCode: Joi.string().trim().uppercase().max(50),
+  // Full or trailing part of an order ID, or a Razorpay order ID
+  search: Joi.string().trim().max(50).messages({
+    'string.max': 'Search must not exceed 50 characters',
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10).messages({
+    'number.max': 'Limit cannot exceed 100',
+  }),
+});
+
+// Bulk order status schema
+export const bulkOrderStatusSchema = Joi.object({
+  orderIds: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .min(1)
+    .max(100)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Select at least one order',
+      'array.max': 'At most 100 orders can be updated at once',
+      'array.unique': 'An order can only be listed once',
+      'string.hex': 'Invalid order ID',
+      'string.length': 'Invalid order ID',
+      'any.required': 'Order IDs are required',
+    }),
+  status: Joi.string()
+    .valid('Shipped', 'Delivered', 'Cancelled')
+    .required()
+    .messages({
+      'any.only': 'Status must be Shipped, Delivered or Cancelled',
+      'any.required': 'Status is required',
+    }),
+  reason: Joi.string().trim().max(500).allow(null, '').default(null).messages({
+    'string.max': 'Reason must not exceed 500 characters',
+  }),
+});
+
+// Order export query schema, the order list filters without paging
+export const orderExportSchema = orderFilterSchema
+  .fork(['page', 'limit'], (schema) => schema.strip())
+  .keys({
+    format: Joi.string().valid('csv', 'xlsx').default('xlsx').messages({
+      'any.only': 'Format must be csv or xlsx',
+    }),
+  });
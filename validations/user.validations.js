@@ -75,13 +75,41 @@ const orderItemSchema = Joi.object({
   }),
 }).required();
 
+// Schema for gift cards bought with an order
+const giftCardItemSchema = Joi.object({
+  value: Joi.number().integer().min(100).max(10000).required().messages({
+    'number.base': 'Gift card value must be a number.',
+    'number.integer': 'Gift card value must be a whole amount.',
+    'number.min': 'Gift card value must be at least ₹100.',
+    'number.max': 'Gift card value cannot exceed ₹10000.',
+    'any.required': 'Gift card value is required.',
+  }),
+  quantity: Joi.number().integer().min(1).max(10).required().messages({
+    'number.base': 'Quantity must be a number.',
+    'number.min': 'Quantity must be at least 1.',
+    'number.max': 'At most 10 gift cards of a value can be bought at once.',
+    'any.required': 'Quantity is required.',
+  }),
+});
+
 // Place order schema
 export const placeOrderSchema = Joi.object({
-  orderItems: Joi.array().items(orderItemSchema).min(1).required().messages({
-    'array.base': 'Order items must be an array.',
-    'array.min': 'At least one order item is required.',
-    'any.required': 'Order items are required.',
+  giftCards: Joi.array().items(giftCardItemSchema).default([]).messages({
+    'array.base': 'Gift cards must be an array.',
   }),
+  // An order can be made of gift cards alone
+  orderItems: Joi.array()
+    .items(orderItemSchema)
+    .when('giftCards', {
+      is: Joi.array().min(1),
+      then: Joi.array().min(0).default([]),
+      otherwise: Joi.array().min(1).required(),
+    })
+    .messages({
+      'array.base': 'Order items must be an array.',
+      'array.min': 'At least one order item is required.',
+      'any.required': 'Order items are required.',
+    }),
   totalAmount: Joi.number().min(0).optional().messages({
     'number.base': 'Total amount must be a number.',
     'number.min': 'Total amount cannot be negative.',
@@ -101,11 +129,18 @@ export const placeOrderSchema = Joi.object({
     'any.required': 'Shipping address is required.',
   }),
   paymentMethod: Joi.string()
-    .valid('Wallet', 'UPI', 'Cash on Delivery', 'Credit Card', 'Razorpay')
+    .valid(
+      'Wallet',
+      'UPI',
+      'Cash on Delivery',
+      'Credit Card',
+      'Razorpay',
+      'Split'
+    )
     .required()
     .messages({
       'any.only':
-        'Payment method must be one of Wallet, UPI, Cash on Delivery, or Credit Card.',
+        'Payment method must be one of Wallet, UPI, Cash on Delivery, Credit Card, Razorpay or Split.',
       'any.required': 'Payment method is required.',
     }),
   couponCode: Joi.string().optional().allow(null),
@@ -130,3 +165,161 @@ export const verifyRazorpaySchema = Joi.object({
     'any.required': 'Payment signature is required.',
   }),
 }).unknown(true);
+
+// Wallet transaction history query schema
+export const walletTransactionsSchema = Joi.object({
+  type: Joi.string().valid('credit', 'debit').messages({
+    'any.only': 'Type must be credit or debit.',
+  }),
+  status: Joi.string().valid('completed', 'pending', 'failed').messages({
+    'any.only': 'Status must be completed, pending or failed.',
+  }),
+  referenceType: Joi.string()
+    .valid(
+      'order',
+      'refund',
+      'referral',
+      'top-up',
+      'adjustment',
+      'gift-card',
+      'expiry'
+    )
+    .messages({
+      'any.only':
+        'Reference type must be one of order, refund, referral, top-up, adjustment, gift-card or expiry.',
+    }),
+  orderId: Joi.string().hex().length(24).messages({
+    'string.hex': 'Order ID is invalid.',
+    'string.length': 'Order ID is invalid.',
+  }),
+  startDate: Joi.date().iso().messages({
+    'date.format': 'Start date must be a valid date.',
+  }),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).messages({
+    'date.format': 'End date must be a valid date.',
+    'date.min': 'End date cannot be before the start date.',
+  }),
+  cursor: Joi.string().trim(),
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    'number.base': 'Limit must be a number.',
+    'number.min': 'Limit must be at least 1.',
+    'number.max': 'Limit cannot exceed 100.',
+  }),
+});
+
+// Wallet statement query schema
+export const walletStatementSchema = Joi.object({
+  startDate: Joi.date().iso().required().messages({
+    'date.format': 'Start date must be a valid date.',
+    'any.required': 'Start date is required.',
+  }),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).required().messages({
+    'date.format': 'End date must be a valid date.',
+    'date.min': 'End date cannot be before the start date.',
+    'any.required': 'End date is required.',
+  }),
+  format: Joi.string().valid('pdf', 'csv').default('pdf').messages({
+    'any.only': 'Format must be pdf or csv.',
+  }),
+});
+
+// Redeem gift card schema
+export const redeemGiftCardSchema = Joi.object({
+  code: Joi.string().trim().uppercase().required().messages({
+    'string.empty': 'Gift card code is required.',
+    'any.required': 'Gift card code is required.',
+  }),
+});
+
+// Return request schema
+export const returnRequestSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Invalid product ID.',
+    'string.length': 'Invalid product ID.',
+    'any.required': 'Product ID is required.',
+  }),
+  quantity: Joi.number().integer().min(1).optional().messages({
+    'number.base': 'Quantity must be a number.',
+    'number.min': 'Quantity must be at least 1.',
+  }),
+  reason: Joi.string().trim().max(500).default('No Reason').messages({
+    'string.max': 'Reason must not exceed 500 characters.',
+  }),
+  refundTo: Joi.string()
+    .valid('original', 'wallet')
+    .default('original')
+    .messages({
+      'any.only': 'Refunds can go to the original method or wallet.',
+    }),
+  photos: Joi.array().items(Joi.string().uri()).max(5).default([]).messages({
+    'string.uri': 'Each photo must be a valid URL.',
+    'array.max': 'At most 5 photos can be attached.',
+  }),
+});
+
+// Join waitlist schema
+export const joinWaitlistSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Invalid product ID.',
+    'string.length': 'Invalid product ID.',
+    'any.required': 'Product ID is required.',
+  }),
+  quantity: Joi.number().integer().min(1).max(10).default(1).messages({
+    'number.base': 'Quantity must be a number.',
+    'number.min': 'Quantity must be at least 1.',
+    'number.max': 'Quantity cannot exceed 10.',
+  }),
+});
+
+// Modify order schema
+export const modifyOrderSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        itemId: Joi.string().hex().length(24).required().messages({
+          'string.hex': 'Invalid order item ID.',
+          'string.length': 'Invalid order item ID.',
+          'any.required': 'Order item ID is required.',
+        }),
+        quantity: Joi.number().integer().min(1).max(10).required().messages({
+          'number.base': 'Quantity must be a number.',
+          'number.min': 'Quantity must be at least 1, cancel the item instead.',
+          'number.max': 'Quantity cannot exceed 10.',
+          'any.required': 'Quantity is required.',
+        }),
+      })
+    )
+    .unique('itemId')
+    .messages({
+      'array.unique': 'Each order item can only be changed once.',
+    }),
+  addItems: Joi.array()
+    .items(
+      Joi.object({
+        product: Joi.string().hex().length(24).required().messages({
+          'string.hex': 'Invalid product ID.',
+          'string.length': 'Invalid product ID.',
+          'any.required': 'Product ID is required.',
+        }),
+        quantity: Joi.number().integer().min(1).max(10).required().messages({
+          'number.base': 'Quantity must be a number.',
+          'number.min': 'Quantity must be at least 1.',
+          'number.max': 'Quantity cannot exceed 10.',
+          'any.required': 'Quantity is required.',
+        }),
+      })
+    )
+    .unique('product')
+    .messages({
+      'array.unique': 'Each product can only be added once.',
+    }),
+  shippingAddress: Joi.string().hex().length(24).messages({
+    'string.hex': 'Invalid address ID.',
+    'string.length': 'Invalid address ID.',
+  }),
+})
+  .or('items', 'addItems', 'shippingAddress')
+  .messages({
+    'object.missing':
+      'Change an item quantity, add an item or pick a new shipping address.',
+  });